@@ -3,8 +3,11 @@ const http = require("http");
 const express = require("express");
 const cors = require("cors");
 const mongoose = require("mongoose");
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("./utils/tokenService");
 const { init: initSocket } = require("./socket");
+const { startScheduler } = require("./utils/scheduler");
+const { scheduleMaintenanceJobs } = require("./utils/lifecycleJobs");
+const { runMigrations } = require("./utils/migrations");
 
 // Import Routes
 const authRoutes = require("./routes/auth");
@@ -14,6 +17,8 @@ const adminRoutes = require("./routes/admin");
 const userRoutes = require("./routes/user");
 const organizerRoutes = require("./routes/organiser");
 const forumRoutes = require("./routes/forum");
+const uploadRoutes = require("./routes/upload");
+const paymentRoutes = require("./routes/payment");
 
 const User = require("./models/User");
 
@@ -41,25 +46,40 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: "10mb" }));
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1") so req.ip - and rate limiting - sees the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Keep the exact bytes too - payment webhook signatures are computed over them
+app.use(express.json({
+  limit:  "10mb",
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 const io = initSocket(server);
 
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const token = socket.handshake.auth.token;
   if (!token) return next(new Error("No token provided"));
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.user = decoded;
-    next();
+    socket.user = await verifyAccessToken(token);
+    if (socket.user.scope) throw new Error("Restricted session");
   } catch (err) {
-    next(new Error("Invalid token"));
+    return next(new Error("Invalid token"));
   }
+  next();
 });
 
 io.on("connection", (socket) => {
   console.log("New client connected:", socket.id);
 
+  // Lets session revocation disconnect this socket (utils/sessionService)
+  socket.join(`session_${socket.user.sid}`);
+
   socket.on("join_forum", (eventId) => {
     socket.join(`forum_${eventId}`);
      console.log(`User ${socket.user.id} joined forum_${eventId}`);
@@ -114,6 +134,9 @@ mongoose
   .then(async () => {
     console.log("MongoDB connected");
     await seedAdmin();
+    await runMigrations();
+    await scheduleMaintenanceJobs();
+    startScheduler();
   })
   .catch((err) => console.error("MongoDB connection error:", err.message));
 
@@ -125,6 +148,8 @@ app.use("/api/events", forumRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/organiser", organizerRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/payments", paymentRoutes);
 
 app.get("/", (req, res) => res.json({ status: "Felicity API running", version: "1.0.0" }));
 
@@ -1,6 +1,37 @@
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("../utils/tokenService");
+const { verifyApiKey, trackApiKeyUsage } = require("../utils/apiKeyService");
+
+// Club API keys come as "Authorization: ApiKey <key>" or an X-API-Key header
+const getApiKey = (req) => {
+  const authHeader = req.headers.authorization || "";
+  if (authHeader.startsWith("ApiKey ")) return authHeader.slice("ApiKey ".length).trim();
+  return req.headers["x-api-key"] || null;
+};
+
+// allowedScopes: restricted session scopes (e.g. "2fa-setup") this route accepts.
+// apiKeys: whether club API keys are accepted - only on routes guarded by
+// utils/clubAccess, which is what checks the key's scopes.
+const authenticate = (allowedScopes = [], { apiKeys = false } = {}) => async (req, res, next) => {
+  const rawKey = getApiKey(req);
+  if (rawKey) {
+    if (!apiKeys) return res.status(403).json({ message: "API keys cannot be used for this endpoint." });
+    try {
+      const apiKey = await verifyApiKey(rawKey);
+      if (!apiKey) return res.status(401).json({ message: "Invalid, expired or revoked API key." });
+
+      // Not a user: the clubAccess guard maps the key's scopes to permissions
+      req.user = {
+        id:     null,
+        role:   "api-key",
+        apiKey: { id: apiKey._id, organizerId: apiKey.organizerId, scopes: apiKey.scopes }
+      };
+      trackApiKeyUsage(apiKey, req, res);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    return next();
+  }
 
-const authMiddleware = (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -9,12 +40,22 @@ const authMiddleware = (req, res, next) => {
     }
 
     const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    req.user = await verifyAccessToken(token);
   } catch (err) {
     return res.status(401).json({ message: "Invalid or expired token." });
   }
+
+  if (req.user.scope && !allowedScopes.includes(req.user.scope)) {
+    return res.status(403).json({
+      message: "Set up two-factor authentication to continue.",
+      code: "TWO_FACTOR_SETUP_REQUIRED"
+    });
+  }
+  next();
 };
 
+const authMiddleware = authenticate();
+authMiddleware.allowScopes = (...scopes) => authenticate(scopes);
+authMiddleware.allowApiKeys = authenticate([], { apiKeys: true });
+
 module.exports = authMiddleware;
\ No newline at end of file
@@ -0,0 +1,155 @@
+// In-memory fixed-window rate limiting. Counters live in this process only, so
+// each instance enforces its own limits when running more than one.
+
+// Per route group: max requests per window. Override with RATE_LIMIT_<GROUP>="max/seconds",
+// e.g. RATE_LIMIT_LOGIN="5/60".
+const DEFAULT_LIMITS = {
+  login:    { max: 30,  windowSeconds: 15 * 60 },  // Failed password / 2FA attempts only (rateLimitFailures)
+  sso:      { max: 300, windowSeconds: 15 * 60 },  // Institutional sign-in redirects
+  signup:   { max: 10,  windowSeconds: 60 * 60 },  // register, forgot-password, resend-verification
+  token:    { max: 60,  windowSeconds: 15 * 60 },  // refresh, reset-password, verify-email
+  forum:    { max: 30,  windowSeconds: 60 },
+  scan:     { max: 120, windowSeconds: 60 },
+  register: { max: 20,  windowSeconds: 60 },      // Event registration / orders
+  upload:   { max: 60,  windowSeconds: 60 * 60 }  // File uploads - each one is written to storage
+};
+
+const counters = new Map();
+
+const getLimit = (group) => {
+  const override = process.env[`RATE_LIMIT_${group.toUpperCase()}`];
+  if (override) {
+    const [max, seconds] = override.split("/").map(Number);
+    if (max > 0 && seconds > 0) return { max, windowSeconds: seconds };
+  }
+  return DEFAULT_LIMITS[group];
+};
+
+// Drop finished windows now and then so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of counters) if (entry.resetAt <= now) counters.delete(key);
+}, 60 * 1000).unref();
+
+const getEntry = (group, key, now) => {
+  const id = `${group}:${key}`;
+  let entry = counters.get(id);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + getLimit(group).windowSeconds * 1000 };
+    counters.set(id, entry);
+  }
+  return entry;
+};
+
+/**
+ * Counts one hit against `group` for `key`. Returns { limited, limit,
+ * remaining, retryAfter } where retryAfter is in seconds.
+ */
+const hit = (group, key) => {
+  const { max } = getLimit(group);
+  const now = Date.now();
+  const entry = getEntry(group, key, now);
+  entry.count += 1;
+
+  return {
+    limited:    entry.count > max,
+    limit:      max,
+    remaining:  Math.max(max - entry.count, 0),
+    retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+  };
+};
+
+// Same result as hit, without counting - limited once the count reaches max
+const peek = (group, key) => {
+  const { max } = getLimit(group);
+  const now = Date.now();
+  const entry = getEntry(group, key, now);
+
+  return {
+    limited:    entry.count >= max,
+    limit:      max,
+    remaining:  Math.max(max - entry.count, 0),
+    retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+  };
+};
+
+const resetRateLimit = (group, key) => counters.delete(`${group}:${key}`);
+
+const KEYS = {
+  ip:      (req) => req.ip,
+  user:    (req) => (req.user?.apiKey ? `key:${req.user.apiKey.id}` : req.user?.id),
+  // Account being logged into - limits guessing one account from many IPs
+  account: (req) => (typeof req.body?.email === "string" ? req.body.email.toLowerCase() : null)
+};
+
+// Sets the RateLimit headers and refuses the request when it is over the limit
+const respond = (tightest, res, next) => {
+  if (!tightest) return next();
+
+  res.set("RateLimit-Limit", String(tightest.limit));
+  res.set("RateLimit-Remaining", String(tightest.remaining));
+  res.set("RateLimit-Reset", String(tightest.retryAfter));
+
+  if (tightest.limited) {
+    res.set("Retry-After", String(tightest.retryAfter));
+    return res.status(429).json({
+      message: `Too many requests. Please try again in ${tightest.retryAfter}s.`,
+      retryAfter: tightest.retryAfter
+    });
+  }
+  next();
+};
+
+// Counter keys for this request, e.g. "ip:10.0.0.1"; keys that don't apply are skipped
+const requestKeys = (req, keys) =>
+  keys.map((name) => {
+    const key = KEYS[name](req);
+    return key ? `${name}:${key}` : null;
+  }).filter(Boolean);
+
+/**
+ * Express middleware limiting `group` by each of `keys` ("ip", "user",
+ * "account"). The request is refused as soon as any counter is over its limit.
+ */
+const rateLimit = (group, ...keys) => {
+  if (!DEFAULT_LIMITS[group]) throw new Error(`Unknown rate limit group "${group}"`);
+  if (keys.length === 0) keys = ["ip"];
+
+  return (req, res, next) => {
+    let tightest = null;
+    for (const key of requestKeys(req, keys)) {
+      const result = hit(group, key);
+      if (!tightest || result.remaining < tightest.remaining || result.limited) tightest = result;
+      if (result.limited) break;
+    }
+    respond(tightest, res, next);
+  };
+};
+
+/**
+ * Like rateLimit, but only requests that fail (a 4xx response) are counted,
+ * so successful logins from a shared address - a whole campus behind one NAT
+ * - never use up the limit. Refused once any counter reaches it.
+ */
+const rateLimitFailures = (group, ...keys) => {
+  if (!DEFAULT_LIMITS[group]) throw new Error(`Unknown rate limit group "${group}"`);
+  if (keys.length === 0) keys = ["ip"];
+
+  return (req, res, next) => {
+    const ids = requestKeys(req, keys);
+    let tightest = null;
+    for (const key of ids) {
+      const result = peek(group, key);
+      if (!tightest || result.remaining < tightest.remaining || result.limited) tightest = result;
+      if (result.limited) break;
+    }
+    if (!tightest?.limited) {
+      res.on("finish", () => {
+        if (res.statusCode >= 400 && res.statusCode < 500) ids.forEach((key) => hit(group, key));
+      });
+    }
+    respond(tightest, res, next);
+  };
+};
+
+module.exports = { rateLimit, rateLimitFailures, resetRateLimit };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const multer = require("multer");
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Client-supplied MIME types are only a hint; the file's leading bytes must agree
+const SIGNATURES = {
+  "image/png":       (b) => b.length > 8 && b.readUInt32BE(0) === 0x89504e47,
+  "image/jpeg":      (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/webp":      (b) => b.length > 12 && b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP",
+  "application/pdf": (b) => b.length > 5 && b.toString("ascii", 0, 5) === "%PDF-"
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, Boolean(SIGNATURES[file.mimetype]))
+});
+
+// Accepts one file under `fieldName` and turns multer failures into JSON errors
+const uploadMiddleware = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE")
+      return res.status(413).json({ message: `File is too large (max ${Math.floor(MAX_UPLOAD_BYTES / 1024 / 1024)} MB).` });
+    if (err) return res.status(400).json({ message: err.message });
+
+    if (!req.file)
+      return res.status(400).json({
+        message: `No file received in "${fieldName}". Allowed types: ${Object.keys(SIGNATURES).join(", ")}.`
+      });
+    if (!SIGNATURES[req.file.mimetype](req.file.buffer))
+      return res.status(400).json({ message: "File contents do not match its type." });
+
+    next();
+  });
+};
+
+module.exports = uploadMiddleware;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Club API key for integrations. Only a sha256 of the key is stored; the
+// prefix is kept in clear so organizers can tell keys apart.
+const apiKeySchema = new mongoose.Schema(
+  {
+    organizerId: { type: mongoose.Schema.Types.ObjectId, ref: "Organizer", required: true },
+    name:        { type: String, required: true },
+    prefix:      { type: String, required: true },
+    keyHash:     { type: String, required: true, unique: true },
+    scopes: {
+      type: [{ type: String, enum: ["events:read", "registrations:read", "attendance:scan"] }],
+      validate: { validator: (v) => v.length > 0, message: "At least one scope is required." }
+    },
+    expiresAt:  { type: Date },  // Unset = never expires
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    revokedAt:  { type: Date },
+    createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ organizerId: 1 });
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
\ No newline at end of file
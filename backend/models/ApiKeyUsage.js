@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// One row per request made with an API key - the audit trail behind
+// GET /api/organizer/api-keys/:keyId/usage. Rows expire after 90 days.
+const apiKeyUsageSchema = new mongoose.Schema(
+  {
+    apiKeyId:    { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey", required: true },
+    organizerId: { type: mongoose.Schema.Types.ObjectId, ref: "Organizer", required: true },
+    method:      { type: String },
+    path:        { type: String },
+    statusCode:  { type: Number },
+    ip:          { type: String },
+    userAgent:   { type: String }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+apiKeyUsageSchema.index({ apiKeyId: 1, createdAt: -1 });
+apiKeyUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("ApiKeyUsage", apiKeyUsageSchema);
\ No newline at end of file
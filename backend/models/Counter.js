@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Named sequences, e.g. each club's invoice numbers ("invoice:<organizerId>")
+const counterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically takes the next number in the sequence (the first one is 1)
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
\ No newline at end of file
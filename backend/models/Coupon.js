@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code:        { type: String, required: true, uppercase: true, trim: true },
+    organizerId: { type: mongoose.Schema.Types.ObjectId, ref: "Organizer", required: true },
+    // null = valid for every event of the club
+    eventId:     { type: mongoose.Schema.Types.ObjectId, ref: "Event", default: null },
+    description: { type: String },
+
+    discountType:  { type: String, enum: ["percentage", "flat"], required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+
+    // Restrictions
+    appliesTo:      { type: String, enum: ["all", "registration", "merchandise"], default: "all" },
+    eligibility:    { type: String, enum: ["all", "iiit", "non-iiit"], default: "all" },
+    minOrderAmount: { type: Number, default: 0, min: 0 },
+    validFrom:      { type: Date },
+    validUntil:     { type: Date },
+
+    // Usage caps - maxUses null means unlimited
+    maxUses:      { type: Number, default: null, min: 1 },
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    usedCount:    { type: Number, default: 0, min: 0 },
+
+    isActive: { type: Boolean, default: true }
+  },
+  { timestamps: true }
+);
+
+// Codes are unique per club
+couponSchema.index({ organizerId: 1, code: 1 }, { unique: true });
+
+couponSchema.pre("validate", function () {
+  if (this.discountType === "percentage" && this.discountValue > 100)
+    this.invalidate("discountValue", "A percentage discount cannot exceed 100.");
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil)
+    this.invalidate("validUntil", "validUntil must be after validFrom.");
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
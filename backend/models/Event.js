@@ -1,10 +1,27 @@
 const mongoose = require("mongoose");
+const { checkPattern } = require("../utils/formValidator");
+const { getActiveProvider } = require("../utils/payments");
+
+// Throws with the reason, which becomes the validation message
+const validatePattern = (pattern) => {
+  const error = pattern && checkPattern(pattern);
+  if (error) throw new Error(error);
+  return true;
+};
 
 const formFieldSchema = new mongoose.Schema({
   label:      { type: String, required: true },
-  fieldType:  { type: String, enum: ["text", "dropdown", "checkbox", "file"], required: true },
+  fieldType:  {
+    type: String,
+    enum: ["text", "textarea", "number", "email", "phone", "date", "dropdown", "checkbox", "file"],
+    required: true
+  },
   isRequired: { type: Boolean, default: false },
-  options:    [String]  // Used for dropdown / checkbox
+  options:    [String],  // Used for dropdown / checkbox
+  min:        { type: Number },  // number: smallest value; text / textarea: minimum length
+  max:        { type: Number },  // number: largest value; text / textarea: maximum length
+  pattern:    { type: String, validate: { validator: validatePattern, message: (props) => props.reason.message } },
+  patternMessage: { type: String }  // Shown when a text answer doesn't match pattern
 });
 
 const merchandiseVariantSchema = new mongoose.Schema({
@@ -14,6 +31,29 @@ const merchandiseVariantSchema = new mongoose.Schema({
   price: { type: Number, required: true, min: 0 }
 });
 
+// Normal events can sell several kinds of ticket (General, VIP, Early Bird ...)
+const ticketTierSchema = new mongoose.Schema({
+  name:        { type: String, required: true },
+  description: { type: String },
+  price:       { type: Number, required: true, min: 0 },
+  capacity:    { type: Number, min: 1 },  // Unset = only the event's registrationLimit applies
+  salesStart:  { type: Date },
+  salesEnd:    { type: Date },
+  eligibility: { type: String, enum: ["iiit", "non-iiit", "all"], default: "all" },
+  sold:        { type: Number }  // Seats taken in this tier (see utils/inventoryService)
+});
+
+// Multi-day workshops, fests with several shows ... each session is scanned separately
+const eventSessionSchema = new mongoose.Schema({
+  title:       { type: String, required: true },
+  description: { type: String },
+  venue:       { type: String },
+  startTime:   { type: Date, required: true },
+  endTime:     { type: Date, required: true },
+  capacity:    { type: Number, min: 1 }, // Unset = only the event's registrationLimit applies
+  taken:       { type: Number }          // Seats taken in this session (see utils/inventoryService)
+});
+
 const eventSchema = new mongoose.Schema(
   {
     name:        { type: String, required: true },
@@ -28,6 +68,14 @@ const eventSchema = new mongoose.Schema(
     startDate:            { type: Date, required: true },
     endDate:              { type: Date, required: true },
     registrationLimit:    { type: Number },
+    // Seats taken against registrationLimit - teams on team events. Kept by
+    // utils/inventoryService so the limit holds under concurrent registrations.
+    seatsTaken:           { type: Number },
+    scheduledPublishAt:   { type: Date },  // Draft only - published automatically by the scheduler
+
+    // Participant self-service cancellation closes this many hours before startDate
+    allowCancellation:       { type: Boolean, default: true },
+    cancellationCutoffHours: { type: Number, default: 24, min: 0 },
 
     // Manual status override - Draft and Closed are always manual;
     // Published/Ongoing auto-derive from time (see effectiveStatus virtual)
@@ -37,11 +85,35 @@ const eventSchema = new mongoose.Schema(
       default: "Draft"
     },
 
+    // How fees / merch orders are paid: "manual" (payment proof reviewed by the
+    // organizer, or free) or "gateway" (online, ticket issued on payment)
+    paymentMode: {
+      type:     String,
+      enum:     ["manual", "gateway"],
+      default:  "manual",
+      validate: {
+        validator: (mode) => mode !== "gateway" || !!getActiveProvider(),
+        message:   "Online payment is not configured on this server."
+      }
+    },
+
     // Normal event fields
     registrationFee: { type: Number, default: 0 },
     customForm:      [formFieldSchema],
     isFormLocked:    { type: Boolean, default: false },
 
+    // When set, participants pick a tier and its price replaces registrationFee
+    ticketTiers:     [ticketTierSchema],
+
+    // Normal events only. Participants pick sessions when registering;
+    // without sessions the event is attended as a whole.
+    sessions:        [eventSessionSchema],
+
+    // Team mode (normal events only) - registrationLimit counts teams, not people
+    isTeamEvent: { type: Boolean, default: false },
+    minTeamSize: { type: Number, min: 1 },
+    maxTeamSize: { type: Number, min: 1 },
+
     // Merchandise event fields
     merchandiseVariants:       [merchandiseVariantSchema],
     purchaseLimitPerUser:      { type: Number, default: 1 },
@@ -54,6 +126,38 @@ const eventSchema = new mongoose.Schema(
   }
 );
 
+// Weighted full-text index used by GET /api/events search
+eventSchema.index(
+  { name: "text", tags: "text", description: "text" },
+  { weights: { name: 10, tags: 5, description: 1 }, name: "event_text_search" }
+);
+
+eventSchema.pre("validate", function () {
+  if (this.ticketTiers?.length > 0 && (this.type !== "normal" || this.isTeamEvent))
+    this.invalidate("ticketTiers", "Ticket tiers are only available for individual normal events.");
+
+  if (this.sessions?.length > 0 && this.type !== "normal")
+    this.invalidate("sessions", "Sessions are only available for normal events.");
+  for (const session of this.sessions || []) {
+    if (session.startTime >= session.endTime)
+      this.invalidate("sessions", `Session "${session.title}" must end after it starts.`);
+    else if (session.startTime < this.startDate || session.endTime > this.endDate)
+      this.invalidate("sessions", `Session "${session.title}" must fall within the event dates.`);
+  }
+
+  if (!this.isTeamEvent) return;
+  if (this.type !== "normal")
+    this.invalidate("isTeamEvent", "Team mode is only available for normal events.");
+  if (!this.minTeamSize || !this.maxTeamSize)
+    this.invalidate("minTeamSize", "Team events need both minTeamSize and maxTeamSize.");
+  else if (this.minTeamSize > this.maxTeamSize)
+    this.invalidate("minTeamSize", "minTeamSize cannot be greater than maxTeamSize.");
+
+  // Team registrations have no online checkout - members pay the organizer
+  if (this.paymentMode === "gateway" && (this.isModified("paymentMode") || this.isModified("isTeamEvent")))
+    this.invalidate("paymentMode", "Online payment is not available for team events.");
+});
+
 // Draft and Closed always stay as-is. Otherwise derive from time.
 eventSchema.virtual("effectiveStatus").get(function () {
   if (["Draft", "Closed"].includes(this.statusOverride)) return this.statusOverride;
@@ -64,4 +168,7 @@ eventSchema.virtual("effectiveStatus").get(function () {
   return "Completed";
 });
 
-module.exports = mongoose.model("Event", eventSchema);
\ No newline at end of file
+module.exports = mongoose.model("Event", eventSchema);
+
+// Shared with EventTemplate so templates validate like the events they produce
+module.exports.subSchemas = { formFieldSchema, merchandiseVariantSchema, ticketTierSchema };
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const { subSchemas } = require("./Event");
+
+// Reusable event setup for a club - everything except the name and dates,
+// which are supplied when an event is created from it (POST /api/events with templateId)
+const eventTemplateSchema = new mongoose.Schema(
+  {
+    organizerId: { type: mongoose.Schema.Types.ObjectId, ref: "Organizer", required: true },
+    name:        { type: String, required: true },  // Template label shown to organizers
+
+    type:        { type: String, enum: ["normal", "merchandise"], required: true },
+    description: { type: String },
+    eligibility: { type: String, enum: ["iiit", "non-iiit", "all"] },
+    tags:        [{ type: String }],
+
+    registrationLimit:       { type: Number },
+    allowCancellation:       { type: Boolean },
+    cancellationCutoffHours: { type: Number, min: 0 },
+
+    paymentMode:     { type: String, enum: ["manual", "gateway"] },
+    registrationFee: { type: Number },
+    customForm:      [subSchemas.formFieldSchema],
+    ticketTiers:     [subSchemas.ticketTierSchema],
+
+    isTeamEvent: { type: Boolean },
+    minTeamSize: { type: Number, min: 1 },
+    maxTeamSize: { type: Number, min: 1 },
+
+    merchandiseVariants:     [subSchemas.merchandiseVariantSchema],
+    purchaseLimitPerUser:    { type: Number },
+    requiresPaymentApproval: { type: Boolean },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+// Template names are unique per club
+eventTemplateSchema.index({ organizerId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("EventTemplate", eventTemplateSchema);
\ No newline at end of file
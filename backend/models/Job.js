@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    name:    { type: String, required: true },   // Handler registered via defineJob
+    runAt:   { type: Date, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // Optional identity (e.g. "event:<id>:publish") so rescheduling replaces the job
+    key: { type: String, unique: true, sparse: true },
+
+    status: {
+      type: String,
+      enum: ["Pending", "Running", "Completed", "Failed"],
+      default: "Pending"
+    },
+    attempts:    { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    lastError:   { type: String },
+    lockedAt:    { type: Date },
+    completedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Short-lived records for the OIDC flow:
+//  - "authorize":  state -> nonce + PKCE verifier while the user is at the identity provider
+//  - "login-code": one-time code handed to the frontend after the callback, swapped for tokens
+const oidcLoginStateSchema = new mongoose.Schema(
+  {
+    kind:         { type: String, enum: ["authorize", "login-code"], required: true },
+    key:          { type: String, required: true, unique: true },  // state, or sha256 of the login code
+    nonce:        { type: String },
+    codeVerifier: { type: String },
+    userId:       { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    expiresAt:    { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcLoginState", oidcLoginStateSchema);
\ No newline at end of file
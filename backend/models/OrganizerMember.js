@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Extra login accounts for a club. The club's own account (Organizer.userId)
+// is the owner and has no row here.
+const organizerMemberSchema = new mongoose.Schema(
+  {
+    organizerId: { type: mongoose.Schema.Types.ObjectId, ref: "Organizer", required: true },
+    userId:      { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    role: {
+      type: String,
+      enum: ["editor", "finance", "scanner", "moderator"],
+      required: true
+    },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+organizerMemberSchema.index({ organizerId: 1 });
+
+module.exports = mongoose.model("OrganizerMember", organizerMemberSchema);
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One attempt to pay for a registration / merch order through the gateway.
+// A registration can have several (e.g. a retry after a failed card).
+const paymentSchema = new mongoose.Schema(
+  {
+    registrationId: { type: mongoose.Schema.Types.ObjectId, ref: "Registration", required: true },
+    eventId:        { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    participantId:  { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    provider:    { type: String, required: true },
+    providerRef: { type: String, required: true, unique: true },  // The provider's intent id
+    checkoutUrl: { type: String },
+    amount:      { type: Number, required: true, min: 0 },
+    currency:    { type: String, default: "INR" },
+
+    status: {
+      type: String,
+      enum: ["Created", "Succeeded", "Failed", "Cancelled"],  // Cancelled = registration cancelled before paying
+      default: "Created"
+    },
+    failureReason: { type: String },
+    paidAt:        { type: Date },
+
+    // Money arrived after the registration was cancelled or its hold expired,
+    // or the registration was cancelled after paying
+    refundRequired: { type: Boolean, default: false },
+
+    // Provider event ids already handled - webhooks may be delivered more than once
+    processedEvents: [{ type: String }]
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ registrationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
\ No newline at end of file
@@ -1,5 +1,15 @@
 const mongoose = require("mongoose");
 
+// One line of a merchandise order - variant details and price as at purchase
+const orderItemSchema = new mongoose.Schema({
+  variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  size:      { type: String },
+  color:     { type: String },
+  quantity:  { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true, min: 0 },
+  collectedQuantity: { type: Number, default: 0, min: 0 }  // Handed over at the merch stall
+});
+
 const registrationSchema = new mongoose.Schema(
   {
     eventId:       { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
@@ -11,25 +21,106 @@ const registrationSchema = new mongoose.Schema(
     // Normal event: stores answers to custom form as key-value pairs
     formData: { type: Map, of: mongoose.Schema.Types.Mixed },
 
-    // Merchandise order fields
+    // Ticket tier (normal events with ticketTiers) - name captured at purchase
+    tierId:   { type: mongoose.Schema.Types.ObjectId },
+    tierName: { type: String },
+
+    // Sessions chosen at registration. Empty = the whole event (every session).
+    sessionIds: [{ type: mongoose.Schema.Types.ObjectId }],
+
+    // Team events: every member has their own registration pointing at the team
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team" },
+
+    // Merchandise order fields. items holds the cart; orders placed before
+    // carts existed only have variantId. quantity is the order's total units.
+    items:     [orderItemSchema],
     variantId: { type: mongoose.Schema.Types.ObjectId },
     quantity:  { type: Number, default: 1 },
     paymentProofUrl: { type: String },
+    paymentProofUploadId: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
     paymentStatus: {
       type: String,
       enum: ["Not Applicable", "Pending", "Approved", "Rejected"],
       default: "Not Applicable"
     },
+    rejectionReason:      { type: String },
+
+    // Units of the variant are taken from stock when the order is placed and
+    // held until it is rejected or cancelled. Pending orders without proof
+    // lose the hold at reservationExpiresAt (see order.expireReservation job).
+    stockReserved:        { type: Boolean },
+    reservationExpiresAt: { type: Date },
+
+    // Merch pickup (approved orders). Unset means nothing has been handed over yet.
+    fulfilmentStatus: {
+      type: String,
+      enum: ["Awaiting Pickup", "Partially Collected", "Collected"]
+    },
+    collectedAt: { type: Date },
+    // One entry per handover at the stall - who scanned it and what went out
+    pickups: [{
+      _id:          false,
+      at:           { type: Date, required: true },
+      handedOverBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      apiKeyId:     { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },  // Scanned by an integration
+      items:        [{ _id: false, variantId: mongoose.Schema.Types.ObjectId, quantity: Number }]
+    }],
+
+    // Price captured at purchase time (before / after coupon discount)
+    originalAmount: { type: Number },
+    discountAmount: { type: Number, default: 0 },
+    amountPaid:     { type: Number },
+    couponId:       { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    couponCode:     { type: String },
+
+    // Receipt for a paid registration / order. The number comes from the
+    // club's own sequence and is assigned once, when the receipt is first issued.
+    receipt: {
+      invoiceNumber: { type: String },
+      issuedAt:      { type: Date },
+      // Set while a request is taking the number; sequence is the number it
+      // drew, kept so a takeover reuses it (see utils/receiptService)
+      pendingSince:  { type: Date },
+      sequence:      { type: Number }
+    },
+
     attended:             { type: Boolean, default: false },
     attendanceTimestamp:  { type: Date },
     manualOverride:       { type: Boolean, default: false },
     overrideReason:       { type: String },
-    overriddenBy:         { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+    overriddenBy:         { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // Events with sessions: one entry per session the participant was present at.
+    // `attended` above is set from the first of these.
+    sessionAttendance: [{
+      _id:            false,
+      sessionId:      { type: mongoose.Schema.Types.ObjectId, required: true },
+      attendedAt:     { type: Date, required: true },
+      manualOverride: { type: Boolean, default: false },
+      overrideReason: { type: String },
+      overriddenBy:   { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+    }],
+
+    // Holds a seat in the event's counters (normal, non-team registrations)
+    // until it is cancelled or expires - see utils/inventoryService
+    seatReserved: { type: Boolean },
+
+    // Participant self-service cancellation. The doc is kept for history and
+    // its ticketId stays on record, but scans reject cancelled tickets.
+    isCancelled:        { type: Boolean, default: false },
+    cancelledAt:        { type: Date },
+    cancellationReason: { type: String }
   },
   { timestamps: true }
 );
 
-// One registration per participant per event (unique compound index)
-registrationSchema.index({ eventId: 1, participantId: 1 }, { unique: true });
+// One active registration per participant per event (unique compound index) -
+// for merchandise that's one order, which can hold any number of lines.
+// Cancelled registrations are excluded so the participant can register again.
+// Named apart from the old full unique index, which utils/migrations drops.
+registrationSchema.index(
+  { eventId: 1, participantId: 1 },
+  { name: "active_registration_unique", unique: true, partialFilterExpression: { isCancelled: false } }
+);
 
 module.exports = mongoose.model("Registration", registrationSchema);
\ No newline at end of file
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// One row per logged-in device. Access tokens carry the session id (sid), so
+// revoking the row cuts the device off on its next request.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // sha256 of the current refresh token secret; replaced on every refresh
+    refreshTokenHash: { type: String, required: true },
+    expiresAt:        { type: Date, required: true },
+
+    revokedAt:     { type: Date },
+    revokedReason: { type: String },
+
+    userAgent:  { type: String },
+    ip:         { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+
+    // Restricted session - "2fa-setup" can only reach the 2FA enrolment routes
+    scope: { type: String, enum: ["2fa-setup"] }
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are useless - let MongoDB clean them up
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
\ No newline at end of file
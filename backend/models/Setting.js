@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Platform-wide switches managed by the admin, one document per key
+const settingSchema = new mongoose.Schema(
+  {
+    key:   { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+// Known settings and their values when never saved
+settingSchema.statics.DEFAULTS = {
+  requireOrganizer2fa: false
+};
+
+settingSchema.statics.getValue = async function (key) {
+  const doc = await this.findOne({ key });
+  return doc ? doc.value : this.DEFAULTS[key];
+};
+
+module.exports = mongoose.model("Setting", settingSchema);
\ No newline at end of file
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const teamSchema = new mongoose.Schema(
+  {
+    eventId:  { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    name:     { type: String, required: true, trim: true },
+    leaderId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    members:  [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+
+    // Shared with teammates so they can join - unique across all events
+    inviteCode: { type: String, required: true, unique: true },
+
+    // Set once the team reaches the event's minTeamSize; tickets are issued from then on
+    isComplete: { type: Boolean, default: false }
+  },
+  { timestamps: true }
+);
+
+// Team names only need to be unique within an event
+teamSchema.index({ eventId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Team", teamSchema);
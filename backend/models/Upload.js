@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const uploadSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    purpose: { type: String, enum: ["payment-proof", "form-field"], required: true },
+
+    // form-field uploads: the customForm label this file answers
+    fieldLabel: { type: String },
+
+    // Set once the file is claimed by a registration (or a waitlist entry
+    // awaiting promotion). Unclaimed uploads are treated as orphans.
+    registrationId:  { type: mongoose.Schema.Types.ObjectId, ref: "Registration", default: null },
+    waitlistEntryId: { type: mongoose.Schema.Types.ObjectId, ref: "WaitlistEntry", default: null },
+
+    // Opaque key understood by the configured storage driver
+    storageKey:   { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType:     { type: String, required: true },
+    size:         { type: Number, required: true }
+  },
+  { timestamps: true }
+);
+
+uploadSchema.index({ eventId: 1 });
+uploadSchema.index({ registrationId: 1 });
+
+module.exports = mongoose.model("Upload", uploadSchema);
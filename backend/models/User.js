@@ -20,16 +20,54 @@ const userSchema = new mongoose.Schema(
       { type: mongoose.Schema.Types.ObjectId, ref: "Organizer" }
     ],
 
-    isActive: { type: Boolean, default: true }
+    isActive: { type: Boolean, default: true },
+
+    // Self-registered participants start unverified; accounts created before
+    // verification existed (and admin-created ones) count as verified
+    isEmailVerified:         { type: Boolean, default: true },
+    emailVerificationSentAt: { type: Date },
+
+    // Self-service password reset - only the sha256 of the emailed token is kept
+    passwordResetTokenHash: { type: String, select: false },
+    passwordResetExpires:   { type: Date },
+    // When the password last changed. Every change also revokes the account's
+    // sessions (utils/sessionService), which is what logs old tokens out.
+    passwordChangedAt:      { type: Date },
+
+    // Institutional SSO identity (see utils/oidcClient), set on first OIDC login
+    oidcIssuer:  { type: String },
+    oidcSubject: { type: String },
+
+    // Brute-force lockout (see utils/accountLockout)
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockUntil:           { type: Date },
+
+    // TOTP second factor (admins and organizers). Secrets and recovery code
+    // hashes are never selected unless asked for explicitly.
+    twoFactor: {
+      enabled:       { type: Boolean, default: false },
+      secret:        { type: String, select: false },
+      pendingSecret: { type: String, select: false },  // Awaiting first code during enrolment
+      recoveryCodes: { type: [String], select: false },  // sha256 hashes, each usable once
+      lastUsedStep:  { type: Number },                 // Replay guard - codes at or before this step are refused
+      enabledAt:     { type: Date }
+    }
   },
   { timestamps: true }
 );
 
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $exists: true } } }
+);
+
 // Hash password before save if modified
 userSchema.pre("save", async function () {
   if (!this.isModified("password")) return;
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) this.passwordChangedAt = new Date();
 });
 
 module.exports = mongoose.model("User", userSchema);
\ No newline at end of file
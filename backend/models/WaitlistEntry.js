@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    eventId:       { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    participantId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Queue order - lowest position is promoted first. Gaps are fine;
+    // the participant-facing position is the rank among remaining entries.
+    position: { type: Number, required: true },
+
+    // Requested ticket tier, for events that sell tiers
+    tierId: { type: mongoose.Schema.Types.ObjectId },
+
+    // Custom form answers captured at join time, copied onto the registration on promotion
+    formData: { type: Map, of: mongoose.Schema.Types.Mixed }
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ eventId: 1, participantId: 1 }, { unique: true });
+waitlistEntrySchema.index({ eventId: 1, position: 1 });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
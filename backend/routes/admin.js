@@ -6,9 +6,23 @@ const Organizer = require("../models/Organiser");
 const Event = require("../models/Event");
 const Registration = require("../models/Registration");
 const Message = require("../models/Message");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Team = require("../models/Team");
+const Coupon = require("../models/Coupon");
+const EventTemplate = require("../models/EventTemplate");
+const Payment = require("../models/Payment");
 const PasswordResetRequest = require("../models/PasswordResetRequest");
+const Setting = require("../models/Setting");
+const OrganizerMember = require("../models/OrganizerMember");
+const ApiKey = require("../models/ApiKey");
+const ApiKeyUsage = require("../models/ApiKeyUsage");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { deleteUploads } = require("../utils/storageService");
+const { cancelEventLifecycle } = require("../utils/lifecycleJobs");
+const { revokeUserSessions } = require("../utils/sessionService");
+const { clearFailedLogins } = require("../utils/accountLockout");
+const { resetRateLimit } = require("../middleware/rateLimiter");
 
 const router = express.Router();
 const guard = [authMiddleware, roleMiddleware("admin")];
@@ -16,7 +30,7 @@ const guard = [authMiddleware, roleMiddleware("admin")];
 router.get("/organizers", ...guard, async (req, res) => {
   try {
     const organizers = await Organizer.find()
-      .populate("userId", "email isActive createdAt");
+      .populate("userId", "email isActive createdAt twoFactor.enabled");
     res.json({ count: organizers.length, organizers });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -78,6 +92,7 @@ router.put("/organizers/:userId/toggle-status", ...guard, async (req, res) => {
 
     user.isActive = !user.isActive;
     await user.save();
+    if (!user.isActive) await revokeUserSessions(user._id, "account-disabled");
 
     res.json({
       message: `Account ${user.isActive ? "enabled" : "disabled"}.`,
@@ -88,6 +103,22 @@ router.put("/organizers/:userId/toggle-status", ...guard, async (req, res) => {
   }
 });
 
+// Clear a club's 2FA (lost device) - they enrol again on next login if it's required
+router.delete("/organizers/:userId/2fa", ...guard, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, role: "organizer" });
+    if (!user) return res.status(404).json({ message: "Organizer not found." });
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await revokeUserSessions(user._id, "2fa-reset");
+
+    res.json({ message: "Two-factor authentication reset for this organizer." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 router.delete("/organizers/:userId", ...guard, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -108,6 +139,13 @@ router.delete("/organizers/:userId", ...guard, async (req, res) => {
 
     // 3. Delete all registrations for those events
     await Registration.deleteMany({ eventId: { $in: eventIds } }, { session });
+    await Payment.deleteMany({ eventId: { $in: eventIds } }, { session });
+    await WaitlistEntry.deleteMany({ eventId: { $in: eventIds } }, { session });
+    await Team.deleteMany({ eventId: { $in: eventIds } }, { session });
+    await Coupon.deleteMany({ organizerId: organizer._id }, { session });
+    await EventTemplate.deleteMany({ organizerId: organizer._id }, { session });
+    await ApiKey.deleteMany({ organizerId: organizer._id }, { session });
+    await ApiKeyUsage.deleteMany({ organizerId: organizer._id }, { session });
 
     // 4. Delete all events
     await Event.deleteMany({ organizerId: organizer._id }, { session });
@@ -118,12 +156,22 @@ router.delete("/organizers/:userId", ...guard, async (req, res) => {
     // 6. Delete organizer profile
     await Organizer.findByIdAndDelete(organizer._id, { session });
 
-    // 7. Delete user account
+    // 7. Delete user account, and the club's member accounts
+    const members = await OrganizerMember.find({ organizerId: organizer._id });
+    const memberUserIds = members.map((m) => m.userId);
+    await OrganizerMember.deleteMany({ organizerId: organizer._id }, { session });
+    await User.deleteMany({ _id: { $in: memberUserIds } }, { session });
     await User.findByIdAndDelete(user._id, { session });
 
     await session.commitTransaction();
     session.endSession();
 
+    // Stored files can't take part in the transaction - remove them once it has committed
+    await deleteUploads({ eventId: { $in: eventIds } });
+    for (const eventId of eventIds) await cancelEventLifecycle(eventId);
+    await revokeUserSessions(user._id, "account-deleted");
+    for (const memberUserId of memberUserIds) await revokeUserSessions(memberUserId, "account-deleted");
+
     res.json({
       message: "Organizer and all associated data permanently deleted.",
       deletedEventCount: eventIds.length
@@ -165,6 +213,7 @@ router.put("/password-reset-requests/:id/approve", ...guard, async (req, res) =>
     if (!user) return res.status(404).json({ message: "Organizer user not found." });
     user.password = newPassword;
     await user.save();
+    await revokeUserSessions(user._id, "password-reset");
 
     // Mark request approved
     request.status = "Approved";
@@ -200,4 +249,62 @@ router.put("/password-reset-requests/:id/reject", ...guard, async (req, res) =>
   }
 });
 
+// Accounts currently locked out after repeated failed logins
+router.get("/locked-accounts", ...guard, async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select("firstName lastName email role failedLoginAttempts lockUntil")
+      .sort({ lockUntil: -1 });
+    res.json({ count: users.length, users });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put("/locked-accounts/:userId/unlock", ...guard, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    await clearFailedLogins(user._id);
+    resetRateLimit("login", `account:${user.email}`);
+
+    res.json({ message: "Account unlocked." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Platform settings
+router.get("/settings", ...guard, async (req, res) => {
+  try {
+    const settings = {};
+    for (const key of Object.keys(Setting.DEFAULTS)) settings[key] = await Setting.getValue(key);
+    res.json(settings);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put("/settings", ...guard, async (req, res) => {
+  try {
+    const { requireOrganizer2fa } = req.body;
+    if (requireOrganizer2fa !== undefined) {
+      if (typeof requireOrganizer2fa !== "boolean")
+        return res.status(400).json({ message: "requireOrganizer2fa must be a boolean." });
+      await Setting.findOneAndUpdate(
+        { key: "requireOrganizer2fa" },
+        { value: requireOrganizer2fa, updatedBy: req.user.id },
+        { upsert: true }
+      );
+    }
+
+    const settings = {};
+    for (const key of Object.keys(Setting.DEFAULTS)) settings[key] = await Setting.getValue(key);
+    res.json({ message: "Settings saved.", settings });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
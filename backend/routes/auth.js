@@ -1,12 +1,114 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
 const User = require("../models/User");
+const Organizer = require("../models/Organiser");
+const Session = require("../models/Session");
+const Setting = require("../models/Setting");
+const OidcLoginState = require("../models/OidcLoginState");
 const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { rateLimit, rateLimitFailures } = require("../middleware/rateLimiter");
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../utils/emailService");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+} = require("../utils/sessionService");
+const { generateSecret, verifyTotp, otpauthUrl } = require("../utils/totp");
+const { getLockRemaining, recordFailedLogin, clearFailedLogins } = require("../utils/accountLockout");
+const {
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  isAllowedEmail
+} = require("../utils/oidcClient");
 
 const router = express.Router();
+// 2FA management - also reachable from a forced-enrolment ("2fa-setup") session
+const twoFactorGuard = [authMiddleware.allowScopes("2fa-setup"), roleMiddleware("admin", "organizer")];
+// Session management is for people, not club API keys
+const sessionGuard = [authMiddleware, roleMiddleware("participant", "organizer", "admin")];
 
-router.post("/register", async (req, res) => {
+const VERIFICATION_RESEND_SECONDS = 60;
+const PASSWORD_RESET_TTL_MINUTES  = 60;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Returns plaintext codes (shown once) and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashToken(c)) };
+};
+
+/**
+ * Checks a TOTP code or a recovery code for a user loaded with
+ * +twoFactor.secret +twoFactor.recoveryCodes, and records its use.
+ * Returns true when the second factor is accepted.
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const idx = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (idx === -1) return false;
+    user.twoFactor.recoveryCodes.splice(idx, 1);
+    await user.save();
+    return true;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+const lockedResponse = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed attempts. This account is locked for ${Math.ceil(retryAfter / 60)} more minute(s).`,
+    code: "ACCOUNT_LOCKED",
+    retryAfter
+  });
+};
+
+const loginResponse = (user, { accessToken, refreshToken }) => ({
+  message: "Login successful.",
+  token: accessToken,
+  refreshToken,
+  user: {
+    id:              user._id,
+    role:            user.role,
+    firstName:       user.firstName,
+    participantType: user.participantType
+  }
+});
+
+// Signed link token; carries the email so it dies if the address ever changes
+const sendVerification = async (user) => {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, purpose: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: "24h" }
+  );
+  const verifyUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-email?token=${token}`;
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+  sendVerificationEmail(user.email, user.firstName, verifyUrl);
+};
+
+router.post("/register", rateLimit("signup", "ip"), async (req, res) => {
   try {
     const { firstName, lastName, email, password, participantType, collegeName, contactNumber } = req.body;
 
@@ -41,11 +143,14 @@ router.post("/register", async (req, res) => {
       role: "participant",
       participantType,
       collegeName:    collegeName || "",
-      contactNumber:  contactNumber || ""
+      contactNumber:  contactNumber || "",
+      isEmailVerified: false
     });
 
+    await sendVerification(user);
+
     res.status(201).json({
-      message: "Registration successful.",
+      message: "Registration successful. Check your email to verify your account before logging in.",
       userId: user._id
     });
   } catch (err) {
@@ -53,7 +158,7 @@ router.post("/register", async (req, res) => {
   }
 });
 
-router.post("/login", async (req, res) => {
+router.post("/login", rateLimitFailures("login", "ip", "account"), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -66,6 +171,9 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials." });
     }
 
+    const lockedFor = getLockRemaining(user);
+    if (lockedFor > 0) return lockedResponse(res, lockedFor);
+
     if (!user.isActive) {
       return res.status(403).json({
         message: "This account has been disabled. Please contact the Admin."
@@ -74,34 +182,583 @@ router.post("/login", async (req, res) => {
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailedLogin(user._id);
       return res.status(400).json({ message: "Invalid credentials." });
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    if (user.isEmailVerified === false) {
+      return res.status(403).json({
+        message: "Please verify your email before logging in.",
+        code: "EMAIL_NOT_VERIFIED"
+      });
+    }
+
+    // Second step: the client posts the challenge token and a code to /login/2fa
+    if (user.twoFactor?.enabled) {
+      const challengeToken = jwt.sign(
+        { id: user._id, purpose: "2fa-login" },
+        process.env.JWT_SECRET,
+        { expiresIn: "5m" }
+      );
+      return res.json({
+        message: "Enter the code from your authenticator app.",
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+
+    // Failures only reset once the whole login (including 2FA) succeeds
+    await clearFailedLogins(user._id);
+
+    // Organizers without 2FA get a session that can only enrol while it's mandatory
+    const mustEnrol = user.role === "organizer" && await Setting.getValue("requireOrganizer2fa");
+    const tokens = await createSession(user, req, mustEnrol ? { scope: "2fa-setup" } : {});
+
+    res.json({
+      ...loginResponse(user, tokens),
+      ...(mustEnrol ? { twoFactorSetupRequired: true } : {})
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Complete a 2FA login - body: challengeToken plus either code or recoveryCode
+router.post("/login/2fa", rateLimitFailures("login", "ip"), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode))
+      return res.status(400).json({ message: "challengeToken and a code or recoveryCode are required." });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: "Login attempt has expired. Please sign in again." });
+    }
+    if (decoded.purpose !== "2fa-login")
+      return res.status(401).json({ message: "Login attempt has expired. Please sign in again." });
+
+    const user = await User.findById(decoded.id).select("+twoFactor.secret +twoFactor.recoveryCodes");
+    if (!user || !user.isActive || !user.twoFactor?.enabled)
+      return res.status(401).json({ message: "Login attempt has expired. Please sign in again." });
 
+    const lockedFor = getLockRemaining(user);
+    if (lockedFor > 0) return lockedResponse(res, lockedFor);
+
+    const accepted = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!accepted) {
+      await recordFailedLogin(user._id);
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+    await clearFailedLogins(user._id);
+
+    const tokens = await createSession(user, req);
     res.json({
-      message: "Login successful.",
-      token,
-      user: {
-        id:              user._id,
-        role:            user.role,
-        firstName:       user.firstName,
-        participantType: user.participantType
+      ...loginResponse(user, tokens),
+      ...(recoveryCode ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length } : {})
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm email ownership with the token from the verification link
+router.post("/verify-email", rateLimit("token", "ip"), async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: "Verification token is required." });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(400).json({ message: "This verification link is invalid or has expired." });
+    }
+    if (decoded.purpose !== "verify-email")
+      return res.status(400).json({ message: "This verification link is invalid or has expired." });
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email)
+      return res.status(400).json({ message: "This verification link is invalid or has expired." });
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+    }
+
+    res.json({ message: "Email verified. You can now log in." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resend the verification link - same reply whether or not the account exists
+router.post("/resend-verification", rateLimit("signup", "ip", "account"), async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Email is required." });
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (user && user.isEmailVerified === false) {
+      const elapsed = (Date.now() - (user.emailVerificationSentAt?.getTime() || 0)) / 1000;
+      if (elapsed < VERIFICATION_RESEND_SECONDS) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_SECONDS - elapsed);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ message: `Please wait ${retryAfter}s before requesting another email.` });
+      }
+      await sendVerification(user);
+    }
+
+    res.json({ message: "If that account needs verification, a new link has been sent." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Email a single-use reset link. Organizers get it at their club contact email,
+// since the generated login address usually has no inbox behind it.
+router.post("/forgot-password", rateLimit("signup", "ip", "account"), async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Email is required." });
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (user && user.isActive && user.role !== "admin") {
+      let deliverTo = user.email;
+      if (user.role === "organizer") {
+        const organizer = await Organizer.findOne({ userId: user._id });
+        deliverTo = organizer?.contactEmail || user.email;
       }
+
+      const token = crypto.randomBytes(32).toString("hex");
+      user.passwordResetTokenHash = hashToken(token);
+      user.passwordResetExpires   = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password?token=${token}`;
+      sendPasswordResetEmail(deliverTo, user.firstName, resetUrl);
+    }
+
+    res.json({ message: "If an account exists for that email, a password reset link has been sent." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a new password with the emailed token - logs the account out everywhere
+router.post("/reset-password", rateLimit("token", "ip"), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword)
+      return res.status(400).json({ message: "token and newPassword are required." });
+    if (newPassword.length < 6)
+      return res.status(400).json({ message: "New password must be at least 6 characters." });
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires:   { $gt: new Date() }
     });
+    if (!user) return res.status(400).json({ message: "This reset link is invalid or has expired." });
+
+    user.password               = newPassword;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires   = undefined;
+    user.failedLoginAttempts    = 0;
+    user.lockUntil              = undefined;
+    // Receiving the link proves the participant owns the address
+    if (user.role === "participant") user.isEmailVerified = true;
+    await user.save();
+    await revokeUserSessions(user._id, "password-reset");
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// JWT is stateless - logout is handled by the client deleting the token.
-// This endpoint exists so the frontend has a consistent API call to make.
-router.post("/logout", authMiddleware, (req, res) => {
-  res.json({ message: "Logged out." });
+// 2FA status for the logged-in admin/organizer
+router.get("/2fa", ...twoFactorGuard, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactor.recoveryCodes");
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    res.json({
+      enabled:                user.twoFactor?.enabled || false,
+      enabledAt:              user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      required:               user.role === "organizer" && await Setting.getValue("requireOrganizer2fa")
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start enrolment - returns the secret and a QR code for the authenticator app
+router.post("/2fa/setup", ...twoFactorGuard, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    if (user.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const url = otpauthUrl({ secret, account: user.email, issuer: "Felicity" });
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode:     await QRCode.toDataURL(url)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Finish enrolment with the first code from the app - recovery codes are shown once
+router.post("/2fa/enable", ...twoFactorGuard, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "code is required." });
+
+    const user = await User.findById(req.user.id).select("+twoFactor.pendingSecret");
+    if (!user) return res.status(404).json({ message: "User not found." });
+    if (user.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+    if (!user.twoFactor?.pendingSecret)
+      return res.status(400).json({ message: "Start setup first." });
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) return res.status(400).json({ message: "Invalid authentication code." });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.secret        = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep  = step;
+    user.twoFactor.enabled       = true;
+    user.twoFactor.enabledAt     = new Date();
+    await user.save();
+
+    // Other devices signed in on the password alone; a forced-enrolment session is swapped for a full one
+    await revokeUserSessions(user._id, "2fa-enabled", { except: req.user.scope ? undefined : req.user.sid });
+    const tokens = req.user.scope ? await createSession(user, req) : {};
+
+    res.json({
+      message:       "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes: codes,
+      ...(tokens.accessToken ? { token: tokens.accessToken, refreshToken: tokens.refreshToken } : {})
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace all recovery codes - needs a current code
+router.post("/2fa/recovery-codes", ...twoFactorGuard, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactor.secret +twoFactor.recoveryCodes");
+    if (!user?.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+
+    const accepted = await consumeSecondFactor(user, { code: req.body.code });
+    if (!accepted) return res.status(400).json({ message: "Invalid authentication code." });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({ message: "New recovery codes generated. The old ones no longer work.", recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Turn 2FA off - body: password plus code or recoveryCode
+router.post("/2fa/disable", ...twoFactorGuard, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode))
+      return res.status(400).json({ message: "password and a code or recoveryCode are required." });
+
+    const user = await User.findById(req.user.id).select("+twoFactor.secret +twoFactor.recoveryCodes");
+    if (!user?.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+    if (user.role === "organizer" && await Setting.getValue("requireOrganizer2fa"))
+      return res.status(400).json({ message: "Two-factor authentication is required for organizer accounts." });
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) return res.status(400).json({ message: "Password is incorrect." });
+
+    const accepted = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!accepted) return res.status(400).json({ message: "Invalid authentication code." });
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: "Two-factor authentication disabled." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Institutional single sign-on (OIDC) ---
+
+const OIDC_STATE_TTL_MINUTES = 10;
+const OIDC_LOGIN_CODE_TTL_SECONDS = 60;
+
+// Binds the authorize state to the browser that started the sign-in, so a
+// callback URL can't be replayed in someone else's browser (login CSRF)
+const OIDC_STATE_COOKIE = "oidc_state";
+
+const oidcStateCookieOptions = (req) => ({
+  httpOnly: true,
+  secure:   req.secure,
+  sameSite: "lax",  // Sent on the top-level redirect back from the identity provider
+  path:     `${req.baseUrl}/oidc`
+});
+
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+// Frontend route that receives ?code=<one-time login code> or ?error=<message>
+const oidcFrontendRedirect = (params) =>
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}/oidc/callback?${new URLSearchParams(params)}`;
+
+/**
+ * Maps verified ID token claims to a participant account: the linked account
+ * if there is one, else an existing account with the same email (linked now),
+ * else a new account. Returns { user } or { error }.
+ *
+ * An unverified account with the email was never proven to belong to its
+ * owner - anyone can sign up with someone else's address - so linking it
+ * replaces its password and ends its sessions instead of keeping them.
+ */
+const resolveOidcUser = async (claims, issuer) => {
+  const email = String(claims.email || "").toLowerCase();
+  if (!email || claims.email_verified !== true)
+    return { error: "Your institutional account has no verified email address." };
+  if (!isAllowedEmail(email))
+    return { error: "Single sign-on is only available for IIIT accounts." };
+
+  let user = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub });
+  if (!user) user = await User.findOne({ email });
+
+  if (user) {
+    if (user.role !== "participant")
+      return { error: "Club and admin accounts must sign in with their password." };
+    if (!user.isActive)
+      return { error: "This account has been disabled. Please contact the Admin." };
+    if (user.oidcSubject && (user.oidcSubject !== claims.sub || user.oidcIssuer !== issuer))
+      return { error: "This email is already linked to a different institutional account." };
+
+    const unclaimed = !user.isEmailVerified;
+    if (unclaimed) {
+      // Never used - the owner can set a real one through forgot-password
+      user.password               = crypto.randomBytes(24).toString("hex");
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires   = undefined;
+    }
+
+    user.oidcIssuer      = issuer;
+    user.oidcSubject     = claims.sub;
+    user.participantType = "iiit";
+    user.isEmailVerified = true;
+    await user.save();
+    if (unclaimed) await revokeUserSessions(user._id, "oidc-claimed");
+    return { user };
+  }
+
+  const [localPart] = email.split("@");
+  user = await User.create({
+    firstName:       claims.given_name || claims.name?.split(" ")[0] || localPart,
+    lastName:        claims.family_name || claims.name?.split(" ").slice(1).join(" ") || "-",
+    email,
+    // Never used - SSO users can set a real one through forgot-password
+    password:        crypto.randomBytes(24).toString("hex"),
+    role:            "participant",
+    participantType: "iiit",
+    isEmailVerified: true,
+    oidcIssuer:      issuer,
+    oidcSubject:     claims.sub
+  });
+  return { user };
+};
+
+// Lets the frontend decide whether to show the SSO button
+router.get("/oidc/config", (req, res) => {
+  res.json({ enabled: isOidcEnabled(), allowedDomains: isOidcEnabled() ? getOidcConfig().allowedDomains : [] });
+});
+
+// Step 1: send the browser to the identity provider
+router.get("/oidc/login", rateLimit("sso", "ip"), async (req, res) => {
+  try {
+    if (!isOidcEnabled()) return res.status(503).json({ message: "Single sign-on is not configured." });
+
+    const request = createAuthRequest();
+    await OidcLoginState.create({
+      kind:         "authorize",
+      key:          request.state,
+      nonce:        request.nonce,
+      codeVerifier: request.codeVerifier,
+      expiresAt:    new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    res.cookie(OIDC_STATE_COOKIE, request.state, {
+      ...oidcStateCookieOptions(req),
+      maxAge: OIDC_STATE_TTL_MINUTES * 60 * 1000
+    });
+    res.redirect(await buildAuthorizationUrl(request));
+  } catch (err) {
+    res.status(502).json({ message: "Could not reach the identity provider.", error: err.message });
+  }
+});
+
+// Step 2: the provider redirects back here; hand the frontend a one-time login code
+router.get("/oidc/callback", rateLimit("sso", "ip"), async (req, res) => {
+  try {
+    if (!isOidcEnabled()) return res.status(503).json({ message: "Single sign-on is not configured." });
+
+    const { code, state, error } = req.query;
+    const browserState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions(req));
+
+    if (error) return res.redirect(oidcFrontendRedirect({ error: "Sign-in was cancelled or refused." }));
+    if (!code || !state) return res.redirect(oidcFrontendRedirect({ error: "Invalid sign-in response." }));
+    if (!browserState || browserState !== String(state))
+      return res.redirect(oidcFrontendRedirect({ error: "Sign-in must be finished in the browser that started it. Please try again." }));
+
+    const pending = await OidcLoginState.findOneAndDelete({
+      kind:      "authorize",
+      key:       String(state),
+      expiresAt: { $gt: new Date() }
+    });
+    if (!pending) return res.redirect(oidcFrontendRedirect({ error: "Sign-in session expired. Please try again." }));
+
+    let claims;
+    try {
+      claims = await exchangeCode({ code: String(code), codeVerifier: pending.codeVerifier, nonce: pending.nonce });
+    } catch (err) {
+      console.error("OIDC code exchange failed:", err.message);
+      return res.redirect(oidcFrontendRedirect({ error: "Could not verify your institutional sign-in." }));
+    }
+
+    const { user, error: userError } = await resolveOidcUser(claims, getOidcConfig().issuer);
+    if (userError) return res.redirect(oidcFrontendRedirect({ error: userError }));
+
+    const loginCode = crypto.randomBytes(32).toString("hex");
+    await OidcLoginState.create({
+      kind:      "login-code",
+      key:       hashToken(loginCode),
+      userId:    user._id,
+      expiresAt: new Date(Date.now() + OIDC_LOGIN_CODE_TTL_SECONDS * 1000)
+    });
+
+    res.redirect(oidcFrontendRedirect({ code: loginCode }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Step 3: the frontend swaps the one-time code for the usual token pair
+router.post("/oidc/exchange", rateLimit("token", "ip"), async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "code is required." });
+
+    const entry = await OidcLoginState.findOneAndDelete({
+      kind:      "login-code",
+      key:       hashToken(String(code)),
+      expiresAt: { $gt: new Date() }
+    });
+    if (!entry) return res.status(400).json({ message: "This sign-in link is invalid or has expired." });
+
+    const user = await User.findById(entry.userId);
+    if (!user || !user.isActive)
+      return res.status(403).json({ message: "This account has been disabled. Please contact the Admin." });
+
+    const tokens = await createSession(user, req);
+    res.json(loginResponse(user, tokens));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Exchange a refresh token for a new access token; the refresh token rotates too
+router.post("/refresh", rateLimit("token", "ip"), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required." });
+
+    const { accessToken, refreshToken: nextRefreshToken, error } = await rotateSession(refreshToken, req);
+    if (error) return res.status(401).json({ message: error });
+
+    res.json({ token: accessToken, refreshToken: nextRefreshToken });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ends the current session only
+router.post("/logout", authMiddleware.allowScopes("2fa-setup"), roleMiddleware("participant", "organizer", "admin"), async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, "logout");
+    res.json({ message: "Logged out." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Active sessions for the logged-in user
+router.get("/sessions", ...sessionGuard, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId:    req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map((s) => ({
+      id:         s._id,
+      userAgent:  s.userAgent,
+      ip:         s.ip,
+      createdAt:  s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      current:    s._id.toString() === req.user.sid
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out one device
+router.delete("/sessions/:sessionId", ...sessionGuard, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user.id, revokedAt: null });
+    if (!session) return res.status(404).json({ message: "Session not found." });
+
+    await revokeSession(session._id, "revoked-by-user");
+    res.json({ message: "Session revoked." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out every other device
+router.delete("/sessions", ...sessionGuard, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, "revoked-by-user", { except: req.user.sid });
+    res.json({ message: "All other sessions revoked." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
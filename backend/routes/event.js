@@ -1,20 +1,66 @@
 const express = require("express");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const { Parser } = require("json2csv");
 const ics = require("ics");
 const Event = require("../models/Event");
-const Organizer = require("../models/Organiser");
 const Registration = require("../models/Registration");
 const User = require("../models/User");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Team = require("../models/Team");
+const Upload = require("../models/Upload");
+const Coupon = require("../models/Coupon");
+const EventTemplate = require("../models/EventTemplate");
+const Payment = require("../models/Payment");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
-const sendTicketEmail = require("../utils/emailService");
-const postEventToDiscord = require("../utils/discordService");
+const { rateLimit } = require("../middleware/rateLimiter");
+const { requireClubPermission, requireEventPermission } = require("../utils/clubAccess");
+const { announceEvent, scheduleEventLifecycle, cancelEventLifecycle } = require("../utils/lifecycleJobs");
+const promoteFromWaitlist = require("../utils/waitlistService");
+const validateFormData = require("../utils/formValidator");
+const searchEvents = require("../utils/eventSearch");
+const recommendEvents = require("../utils/recommendationService");
+const { generateTicketId, getTierBlocker, isTierSoldOut, sendTicket, issueTicket } = require("../utils/ticketService");
+const { deleteUploads } = require("../utils/storageService");
+const {
+  RESERVATION_MINUTES,
+  getOrderItems,
+  reserveItems,
+  restoreItems,
+  releaseOrderStock,
+  reserveSeat,
+  restoreSeat,
+  releaseSeat,
+  scheduleReservationExpiry,
+  cancelReservationExpiry
+} = require("../utils/inventoryService");
+const { copyEventSetup, getSoldQuantities } = require("../utils/eventTemplates");
+const {
+  needsOnlinePayment,
+  gatewayUnavailable,
+  createPaymentIntent,
+  closePayments,
+  paymentSummary
+} = require("../utils/paymentService");
+const { getFulfilmentStatus, UNCOLLECTED, getPickupLines, recordPickup } = require("../utils/pickupService");
+const { RECEIPT_PENDING, generateReceipt } = require("../utils/receiptService");
+const {
+  coversSession,
+  getSessionAttendance,
+  countSessionRegistrations,
+  findFullSession,
+  getCurrentSession
+} = require("../utils/eventSessions");
+const {
+  checkCoupon,
+  priceWithCoupon,
+  releaseCoupon,
+  getRegistrationRevenue
+} = require("../utils/pricingService");
 
 const router = express.Router();
 
-const generateTicketId = () =>
-  `TKT-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
-
 const getEffectiveStatus = (event) => {
   if (["Draft", "Closed"].includes(event.statusOverride)) return event.statusOverride;
   if (event.statusOverride === "Completed") return "Completed";
@@ -24,25 +70,194 @@ const getEffectiveStatus = (event) => {
   return "Completed";
 };
 
+// Returns why a participant may not take part in this event, or null if eligible
+const getEligibilityBlocker = (event, participant) => {
+  if (event.eligibility === "iiit" && participant.participantType !== "iiit")
+    return "This event is for IIIT students only.";
+  if (event.eligibility === "non-iiit" && participant.participantType !== "non-iiit")
+    return "This event is for non-IIIT participants only.";
+  return null;
+};
+
+// Resolves the tier a participant asked for. Events without tiers resolve to null.
+const selectTier = (event, tierId, participant) => {
+  if (!event.ticketTiers?.length) return { tier: null };
+  if (!tierId) return { error: "Please choose a ticket tier (tierId)." };
+  const tier = event.ticketTiers.id(tierId);
+  if (!tier) return { error: "Ticket tier not found." };
+  const blocker = getTierBlocker(tier, participant);
+  if (blocker) return { error: blocker };
+  return { tier };
+};
+
+// Resolves the sessions a participant picked. Picking none registers them
+// for the whole event, which is stored as an empty sessionIds list.
+const selectSessions = (event, sessionIds) => {
+  if (!event.sessions?.length || !sessionIds?.length) return { sessions: event.sessions || [], sessionIds: [] };
+  if (!Array.isArray(sessionIds)) return { error: "sessionIds must be an array." };
+
+  const sessions = [];
+  for (const id of new Set(sessionIds.map(String))) {
+    const session = mongoose.isValidObjectId(id) && event.sessions.id(id);
+    if (!session) return { error: "Session not found." };
+    if (new Date() > session.endTime) return { error: `Session "${session.title}" has already ended.` };
+    sessions.push(session);
+  }
+  return { sessions, sessionIds: sessions.map((s) => s._id) };
+};
+
+// Why a registration in `tierId` covering `sessionIds` can't get a seat, from
+// the event's seat counters - null if it can. `picked` = the participant chose
+// the sessions rather than taking all of them.
+const getCapacityBlocker = (event, tierId, sessionIds, picked) => {
+  if (event.registrationLimit && (event.seatsTaken || 0) >= event.registrationLimit)
+    return { message: "Registration limit reached. You can join the waitlist instead.", waitlistAvailable: true };
+
+  const tier = tierId && event.ticketTiers.id(tierId);
+  if (tier && isTierSoldOut(tier))
+    return {
+      message: `"${tier.name}" tickets are sold out. You can join the waitlist for this tier instead.`,
+      waitlistAvailable: true
+    };
+
+  const fullSession = findFullSession(sessionIds.map((id) => event.sessions.id(id)).filter(Boolean));
+  if (fullSession)
+    return {
+      message: picked
+        ? `Session "${fullSession.title}" is full.`
+        : `Session "${fullSession.title}" is full. Choose the sessions you'd like to attend instead.`
+    };
+  return null;
+};
+
+const describeVariant = (item) => [item.size, item.color].filter(Boolean).join(" / ") || "item";
+
+// Resolves the lines of a merch order: body.items [{ variantId, quantity }],
+// or a single variantId / quantity. Lines for the same variant are merged.
+const selectOrderItems = (event, body) => {
+  const lines = Array.isArray(body.items)
+    ? body.items
+    : body.variantId ? [{ variantId: body.variantId, quantity: body.quantity }] : [];
+  if (lines.length === 0) return { error: "Add at least one item (items: [{ variantId, quantity }])." };
+
+  const items = new Map();
+  for (const line of lines) {
+    const variant = mongoose.isValidObjectId(line.variantId) && event.merchandiseVariants.id(line.variantId);
+    if (!variant) return { error: "Variant not found.", status: 404 };
+    const quantity = line.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 1)
+      return { error: "quantity must be a positive whole number." };
+
+    const key = variant._id.toString();
+    if (!items.has(key))
+      items.set(key, { variantId: variant._id, size: variant.size, color: variant.color, unitPrice: variant.price, quantity: 0 });
+    items.get(key).quantity += quantity;
+  }
+  return { items: [...items.values()] };
+};
+
+const summarizeItems = (items) =>
+  items.map((item) => `${describeVariant(item)} x${item.quantity}`).join("; ");
+
+const orderTotal = (items) => items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+
+// Titles of the sessions a registration covers, in schedule order
+const getRegisteredSessionTitles = (event, reg) =>
+  (event.sessions || []).filter((s) => coversSession(reg, s._id)).map((s) => s.title);
+
+// Validates custom form answers. "file" answers must be the id of an unclaimed
+// upload this participant made for that field (see POST /api/uploads).
+const checkRegistrationForm = async (event, userId, rawFormData) => {
+  const { values: formData, errors } = validateFormData(event.customForm, rawFormData);
+  const uploadIds = [];
+
+  for (const field of event.customForm.filter((f) => f.fieldType === "file")) {
+    const value = formData[field.label];
+    if (!value || errors[field.label]) continue;
+
+    const upload = mongoose.isValidObjectId(value) && await Upload.findOne({
+      _id:             value,
+      ownerId:         userId,
+      eventId:         event._id,
+      purpose:         "form-field",
+      fieldLabel:      field.label,
+      registrationId:  null,
+      waitlistEntryId: null
+    });
+    if (upload) uploadIds.push(upload._id);
+    else errors[field.label] = "Uploaded file not found. Please upload it again.";
+  }
+
+  return { formData, uploadIds, errors };
+};
+
+const generateInviteCode = () => crypto.randomBytes(4).toString("hex").toUpperCase();
+
+// Issues tickets to every member of a completed team who doesn't have one yet
+// (the whole team when it first reaches minTeamSize, late joiners after that)
+const issueTeamTickets = async (team, event) => {
+  const pending = await Registration.find({
+    teamId:      team._id,
+    isCancelled: { $ne: true },
+    ticketId:    { $exists: false }
+  }).populate("participantId", "email firstName");
+
+  for (const reg of pending) {
+    reg.ticketId = generateTicketId();
+    await reg.save();
+    sendTicket(reg, event, reg.participantId);
+  }
+
+  return pending.length;
+};
+
+// Returns why a participant can no longer cancel, or null if they still can
+const getCancellationBlocker = (event) => {
+  if (!event.allowCancellation)
+    return "The organizer does not allow cancellations for this event.";
+
+  const status = getEffectiveStatus(event);
+  if (status !== "Published")
+    return `Cancellations are not available (event is ${status}).`;
+
+  const cutoffHours = event.cancellationCutoffHours || 0;
+  const cutoff = new Date(new Date(event.startDate).getTime() - cutoffHours * 60 * 60 * 1000);
+  if (new Date() > cutoff)
+    return `Cancellations closed ${cutoffHours} hour(s) before the event start.`;
+
+  return null;
+};
+
 const toGCalDate = (d) =>
   new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
 
-// Create Event (Draft)
+// Create Event (Draft) - an optional templateId pre-fills the club template's
+// settings; anything in the body wins over the template
 router.post(
   "/",
   authMiddleware,
-  roleMiddleware("organizer"),
+  requireClubPermission("events:write"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
+      const { templateId, ...fields } = req.body;
+
+      let setup = {};
+      if (templateId) {
+        const template = mongoose.isValidObjectId(templateId) &&
+          await EventTemplate.findOne({ _id: templateId, organizerId: req.organizer._id });
+        if (!template) return res.status(404).json({ message: "Template not found." });
+        setup = copyEventSetup(template);
+      }
 
       const event = await Event.create({
-        ...req.body,
-        organizerId:    organizer._id,
+        ...setup,
+        ...fields,
+        organizerId:    req.organizer._id,
         statusOverride: "Draft"
       });
 
+      await scheduleEventLifecycle(event);
+
       res.status(201).json({ message: "Event created as draft.", event });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -54,22 +269,16 @@ router.post(
 router.put(
   "/:id",
   authMiddleware,
-  roleMiddleware("organizer"),
+  requireEventPermission("events:write"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString()) {
-        return res.status(403).json({ message: "Not authorized." });
-      }
+      const { event } = req;
 
       const currentStatus = getEffectiveStatus(event);
       const updates = req.body;
       const wasPublishing =
         currentStatus === "Draft" && updates.statusOverride === "Published";
+      const previousLimit = event.registrationLimit;
 
       if (currentStatus === "Draft") {
         Object.assign(event, updates);
@@ -91,18 +300,29 @@ router.put(
         event.statusOverride = updates.statusOverride;
       }
 
+      // Publishing by hand supersedes a scheduled publish
+      if (wasPublishing) event.scheduledPublishAt = null;
+
       await event.save();
 
       // Fire Discord webhook when an event is first published
-      if (wasPublishing) {
-        const org = await Organizer.findById(event.organizerId);
-        if (org?.discordWebhookUrl) {
-          postEventToDiscord(org.discordWebhookUrl, event); // non-blocking
-        }
+      if (wasPublishing) await announceEvent(event);
+
+      // Keep scheduled publish / deadline / completion jobs in step with the edit
+      await scheduleEventLifecycle(event);
+
+      // Raising (or removing) the limit frees seats for waitlisted participants
+      let promotedCount = 0;
+      const limitRaised = previousLimit &&
+        (!event.registrationLimit || event.registrationLimit > previousLimit);
+      if (limitRaised) {
+        const promoted = await promoteFromWaitlist(event._id);
+        promotedCount = promoted.length;
       }
 
-      res.json({ message: "Saved.", event });
+      res.json({ message: "Saved.", event, promotedFromWaitlist: promotedCount });
     } catch (err) {
+      if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
       res.status(500).json({ error: err.message });
     }
   }
@@ -112,21 +332,20 @@ router.put(
 router.delete(
   "/:id",
   authMiddleware,
-  roleMiddleware("organizer"),
+  requireEventPermission("events:write"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
       if (getEffectiveStatus(event) !== "Draft")
         return res.status(400).json({ message: "Only Draft events can be deleted." });
 
       await Event.findByIdAndDelete(req.params.id);
       await Registration.deleteMany({ eventId: req.params.id });
+      await WaitlistEntry.deleteMany({ eventId: req.params.id });
+      await Team.deleteMany({ eventId: req.params.id });
+      await Coupon.deleteMany({ eventId: req.params.id });
+      await deleteUploads({ eventId: req.params.id });
+      await cancelEventLifecycle(req.params.id);
 
       res.json({ message: "Event deleted." });
     } catch (err) {
@@ -135,13 +354,78 @@ router.delete(
   }
 );
 
+// Clone Event - copies the setup into a new Draft with every date moved by the
+// same offset. Body: startDate (new start) or shiftDays, optional name.
+// Variant stock goes back to what it was before any orders were approved.
+router.post(
+  "/:id/clone",
+  authMiddleware,
+  requireEventPermission("events:write"),
+  async (req, res) => {
+    try {
+      const { event } = req;
+      const { name, startDate, shiftDays } = req.body;
+
+      let offsetMs;
+      if (startDate !== undefined) {
+        const newStart = new Date(startDate);
+        if (isNaN(newStart)) return res.status(400).json({ message: "Invalid startDate." });
+        offsetMs = newStart.getTime() - event.startDate.getTime();
+      } else if (shiftDays !== undefined) {
+        if (!Number.isFinite(Number(shiftDays)))
+          return res.status(400).json({ message: "shiftDays must be a number." });
+        offsetMs = Number(shiftDays) * 24 * 60 * 60 * 1000;
+      } else {
+        return res.status(400).json({ message: "startDate or shiftDays is required." });
+      }
+      const shift = (date) => (date ? new Date(date.getTime() + offsetMs) : date);
+
+      const setup = copyEventSetup(event);
+
+      const sold = await getSoldQuantities(event._id);
+      setup.merchandiseVariants = (setup.merchandiseVariants || []).map((variant, i) => ({
+        ...variant,
+        stock: variant.stock + (sold.get(String(event.merchandiseVariants[i]._id)) || 0)
+      }));
+      setup.ticketTiers = (setup.ticketTiers || []).map((tier) => ({
+        ...tier,
+        salesStart: shift(tier.salesStart),
+        salesEnd:   shift(tier.salesEnd)
+      }));
+      const sessions = event.toObject().sessions.map(({ _id, taken, ...session }) => ({
+        ...session,
+        startTime: shift(session.startTime),
+        endTime:   shift(session.endTime)
+      }));
+
+      const clone = await Event.create({
+        ...setup,
+        name:                 name || `${event.name} (Copy)`,
+        organizerId:          event.organizerId,
+        registrationDeadline: shift(event.registrationDeadline),
+        startDate:            shift(event.startDate),
+        endDate:              shift(event.endDate),
+        sessions,
+        statusOverride:       "Draft"
+      });
+
+      await scheduleEventLifecycle(clone);
+
+      res.status(201).json({ message: "Event cloned as draft.", event: clone });
+    } catch (err) {
+      if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 // Trending - top 5 events by registrations in last 24h
 router.get("/trending", authMiddleware, async (req, res) => {
   try {
     const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
 
     const topEventIds = await Registration.aggregate([
-      { $match: { createdAt: { $gte: oneDayAgo } } },
+      { $match: { createdAt: { $gte: oneDayAgo }, isCancelled: { $ne: true } } },
       { $group: { _id: "$eventId", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 5 }
@@ -164,53 +448,53 @@ router.get("/trending", authMiddleware, async (req, res) => {
   }
 });
 
-// Browse Events with search + filters
+// For You - personalized recommendations with the reasons behind each pick
+router.get("/recommended", authMiddleware, roleMiddleware("participant"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const picks = await recommendEvents(req.user.id, { limit });
+
+    const recommendations = picks.map(({ event, score, reasons }) => ({
+      ...event.toObject(),
+      effectiveStatus: getEffectiveStatus(event),
+      score,
+      reasons,
+      explanation: reasons.join(" · ")
+    }));
+
+    res.json({ count: recommendations.length, recommendations });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Browse Events - relevance-ranked search, filters, facets and cursor pagination
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const { search, type, eligibility, startDate, endDate, filter } = req.query;
+    const { filter } = req.query;
     const now = new Date();
 
     // Base: only show publicly visible events (not Draft/Closed), not ended
-    let query = {
+    const baseMatch = {
       statusOverride: { $nin: ["Draft", "Closed"] },
       endDate: { $gte: now }
     };
 
-    // Partial/fuzzy search on name and tags
-    if (search) {
-      query.$or = [
-        { name:        { $regex: search, $options: "i" } },
-        { tags:        { $elemMatch: { $regex: search, $options: "i" } } },
-        { description: { $regex: search, $options: "i" } }
-      ];
-    }
-
-    if (type)        query.type        = type;
-    if (eligibility) query.eligibility = eligibility;
-
-    if (startDate || endDate) {
-      query.startDate = {};
-      if (startDate) query.startDate.$gte = new Date(startDate);
-      if (endDate)   query.startDate.$lte = new Date(endDate);
-    }
-
     // Followed clubs filter
     if (filter === "followed") {
       const user = await User.findById(req.user.id).select("followedOrganizers");
-      query.organizerId = { $in: user.followedOrganizers || [] };
+      baseMatch.organizerId = { $in: user?.followedOrganizers || [] };
     }
 
-    let events = await Event.find(query)
-      .populate("organizerId", "organizerName category")
-      .sort({ startDate: 1 });
+    const { events, total, nextCursor, facets, error } = await searchEvents(req.query, baseMatch);
+    if (error) return res.status(400).json({ message: error });
 
-    // Inject effectiveStatus into each event (virtual → toObject)
     const result = events.map((ev) => ({
-      ...ev.toObject(),
+      ...ev,
       effectiveStatus: getEffectiveStatus(ev)
     }));
 
-    res.json({ count: result.length, events: result });
+    res.json({ count: result.length, total, nextCursor, facets, events: result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -222,30 +506,542 @@ router.get("/:id", authMiddleware, async (req, res) => {
     const event = await Event.findById(req.params.id)
       .populate("organizerId", "organizerName category description contactEmail contactNumber");
 
-    if (!event) return res.status(404).json({ message: "Event not found." });
+    if (!event) return res.status(404).json({ message: "Event not found." });
+
+    // Check if the participant is already registered / waitlisted (useful for UI)
+    let isRegistered = false;
+    let registeredSessionIds = [];
+    let waitlistPosition = null;
+    if (req.user.role === "participant") {
+      const reg = await Registration.findOne({
+        eventId:       event._id,
+        participantId: req.user.id,
+        isCancelled:   { $ne: true }
+      });
+      isRegistered = !!reg;
+      if (reg) registeredSessionIds = (event.sessions || []).filter((s) => coversSession(reg, s._id)).map((s) => s._id);
+
+      const entry = await WaitlistEntry.findOne({ eventId: event._id, participantId: req.user.id });
+      if (entry) {
+        waitlistPosition = await WaitlistEntry.countDocuments({
+          eventId:  event._id,
+          position: { $lte: entry.position }
+        });
+      }
+    }
+
+    // Seats left per tier (null = limited only by the event's registrationLimit)
+    const tierAvailability = (event.ticketTiers || []).map((tier) => ({
+      tierId:    tier._id,
+      name:      tier.name,
+      remaining: tier.capacity ? Math.max(tier.capacity - (tier.sold || 0), 0) : null
+    }));
+
+    // Seats left per session (null = no session capacity)
+    const sessionAvailability = (event.sessions || []).map((session) => ({
+      sessionId: session._id,
+      title:     session.title,
+      remaining: session.capacity ? Math.max(session.capacity - (session.taken || 0), 0) : null
+    }));
+
+    res.json({
+      event: { ...event.toObject(), effectiveStatus: getEffectiveStatus(event) },
+      isRegistered,
+      registeredSessionIds,
+      waitlistPosition,
+      tierAvailability,
+      sessionAvailability
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Normal Event Registration
+router.post(
+  "/:id/register",
+  authMiddleware,
+  roleMiddleware("participant"),
+  rateLimit("register", "user"),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      const participant = await User.findById(req.user.id);
+
+      if (!event) return res.status(404).json({ message: "Event not found." });
+      if (event.type !== "normal")
+        return res.status(400).json({ message: "Use /order for merchandise events." });
+      if (event.isTeamEvent)
+        return res.status(400).json({ message: "This is a team event. Create a team or join one with an invite code." });
+
+      const status = getEffectiveStatus(event);
+      if (!["Published", "Ongoing"].includes(status))
+        return res.status(400).json({ message: `Registration not available (event is ${status}).` });
+      if (new Date() > event.registrationDeadline)
+        return res.status(400).json({ message: "Registration deadline has passed." });
+      if (gatewayUnavailable(event))
+        return res.status(503).json({ message: "Online payment is not available for this event right now." });
+
+      // Eligibility check
+      const ineligible = getEligibilityBlocker(event, participant);
+      if (ineligible) return res.status(403).json({ message: ineligible });
+
+      const { tier, error: tierError } = selectTier(event, req.body.tierId, participant);
+      if (tierError) return res.status(400).json({ message: tierError });
+
+      const { sessions, sessionIds, error: sessionError } = selectSessions(event, req.body.sessionIds);
+      if (sessionError) return res.status(400).json({ message: sessionError });
+
+      const { formData, uploadIds, errors: formErrors } =
+        await checkRegistrationForm(event, req.user.id, req.body.formData);
+      if (Object.keys(formErrors).length > 0)
+        return res.status(400).json({ message: "Please correct the highlighted form fields.", errors: formErrors });
+
+      // Capacity check
+      const seat = { tierId: tier?._id, sessionIds: sessions.map((s) => s._id) };
+      const full = getCapacityBlocker(event, seat.tierId, seat.sessionIds, sessionIds.length > 0);
+      if (full) return res.status(400).json(full);
+
+      const existing = await Registration.findOne({
+        eventId:       event._id,
+        participantId: req.user.id,
+        isCancelled:   { $ne: true }
+      });
+      if (existing) return res.status(400).json({ message: "Already registered." });
+
+      const { pricing, error: couponError } =
+        await priceWithCoupon(req.body.couponCode, event, participant, tier ? tier.price : event.registrationFee || 0);
+      if (couponError) return res.status(400).json({ message: couponError });
+
+      // The check above can race other registrations - the seat itself is taken atomically
+      if (!(await reserveSeat(event._id, seat))) {
+        await releaseCoupon(pricing.couponId);
+        const current = await Event.findById(event._id);
+        return res.status(400).json(
+          getCapacityBlocker(current, seat.tierId, seat.sessionIds, sessionIds.length > 0) ||
+          { message: "Registration limit reached. You can join the waitlist instead.", waitlistAvailable: true }
+        );
+      }
+
+      // Paid online: the seat is held until the payment succeeds, and the
+      // ticket is issued from the gateway callback
+      const payOnline = needsOnlinePayment(event, pricing.amountPaid);
+      const ticketId  = payOnline ? undefined : generateTicketId();
+
+      let registration;
+      try {
+        registration = await Registration.create({
+          eventId:       event._id,
+          participantId: req.user.id,
+          ticketId,
+          formData,
+          tierId:        tier?._id,
+          tierName:      tier?.name,
+          sessionIds,
+          seatReserved:  true,
+          ...pricing,
+          ...(payOnline
+            ? {
+                paymentStatus:        "Pending",
+                reservationExpiresAt: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000)
+              }
+            : { paymentStatus: "Not Applicable" })
+        });
+      } catch (err) {
+        await restoreSeat(event._id, seat);
+        await releaseCoupon(pricing.couponId);
+        throw err;
+      }
+      await Upload.updateMany({ _id: { $in: uploadIds } }, { registrationId: registration._id });
+
+      // Registering directly supersedes any waitlist spot - and the files sent with it
+      const waitlistEntry = await WaitlistEntry.findOneAndDelete({ eventId: event._id, participantId: req.user.id });
+      if (waitlistEntry) await deleteUploads({ waitlistEntryId: waitlistEntry._id });
+
+      // Lock form after first registration
+      if (!event.isFormLocked) {
+        event.isFormLocked = true;
+        await event.save();
+      }
+
+      if (payOnline) {
+        await scheduleReservationExpiry(registration);
+        const payment = await createPaymentIntent(registration, event, participant);
+        return res.status(201).json({
+          message: `Seat reserved. Complete the payment within ${RESERVATION_MINUTES} minutes to get your ticket.`,
+          registration,
+          payment: paymentSummary(payment)
+        });
+      }
+
+      sendTicket(registration, event, participant);
+
+      res.status(201).json({ message: "Registered.", ticketId, registration });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Create Team (participant) - the creator becomes leader and gets an invite code to share
+router.post(
+  "/:id/teams",
+  authMiddleware,
+  roleMiddleware("participant"),
+  rateLimit("register", "user"),
+  async (req, res) => {
+    try {
+      const { name } = req.body;
+      if (!name?.trim()) return res.status(400).json({ message: "Team name is required." });
+
+      const event = await Event.findById(req.params.id);
+      const participant = await User.findById(req.user.id);
+
+      if (!event) return res.status(404).json({ message: "Event not found." });
+      if (!event.isTeamEvent)
+        return res.status(400).json({ message: "This event does not use team registration." });
+
+      const status = getEffectiveStatus(event);
+      if (!["Published", "Ongoing"].includes(status))
+        return res.status(400).json({ message: `Registration not available (event is ${status}).` });
+      if (new Date() > event.registrationDeadline)
+        return res.status(400).json({ message: "Registration deadline has passed." });
+
+      const ineligible = getEligibilityBlocker(event, participant);
+      if (ineligible) return res.status(403).json({ message: ineligible });
+
+      const { formData, uploadIds, errors: formErrors } =
+        await checkRegistrationForm(event, req.user.id, req.body.formData);
+      if (Object.keys(formErrors).length > 0)
+        return res.status(400).json({ message: "Please correct the highlighted form fields.", errors: formErrors });
+
+      // Capacity check - the limit counts teams (the seat is taken atomically below)
+      if (event.registrationLimit && (event.seatsTaken || 0) >= event.registrationLimit)
+        return res.status(400).json({ message: "Team limit reached." });
+
+      const existing = await Registration.findOne({
+        eventId:       event._id,
+        participantId: req.user.id,
+        isCancelled:   { $ne: true }
+      });
+      if (existing) return res.status(400).json({ message: "Already registered." });
+
+      const nameTaken = await Team.findOne({ eventId: event._id, name: name.trim() });
+      if (nameTaken) return res.status(400).json({ message: "A team with this name already exists." });
+
+      // Every member pays the fee on their own registration
+      const { pricing, error: couponError } =
+        await priceWithCoupon(req.body.couponCode, event, participant, event.registrationFee || 0);
+      if (couponError) return res.status(400).json({ message: couponError });
+      // Teams can't pay online (see models/Event) - refuse rather than register unpaid
+      if (needsOnlinePayment(event, pricing.amountPaid)) {
+        await releaseCoupon(pricing.couponId);
+        return res.status(400).json({ message: "Online payment is not available for team events." });
+      }
+
+      if (!(await reserveSeat(event._id))) {
+        await releaseCoupon(pricing.couponId);
+        return res.status(400).json({ message: "Team limit reached." });
+      }
+
+      let team;
+      try {
+        team = await Team.create({
+          eventId:    event._id,
+          name:       name.trim(),
+          leaderId:   req.user.id,
+          members:    [req.user.id],
+          inviteCode: generateInviteCode(),
+          isComplete: event.minTeamSize <= 1
+        });
+      } catch (err) {
+        await restoreSeat(event._id);
+        await releaseCoupon(pricing.couponId);
+        throw err;
+      }
+
+      let registration;
+      try {
+        registration = await Registration.create({
+          eventId:       event._id,
+          participantId: req.user.id,
+          teamId:        team._id,
+          formData,
+          paymentStatus: "Not Applicable",
+          ...pricing
+        });
+      } catch (err) {
+        // No leader registration - don't leave the team (or its seat) behind
+        await Team.deleteOne({ _id: team._id });
+        await restoreSeat(event._id);
+        await releaseCoupon(pricing.couponId);
+        throw err;
+      }
+      await Upload.updateMany({ _id: { $in: uploadIds } }, { registrationId: registration._id });
+
+      if (!event.isFormLocked) {
+        event.isFormLocked = true;
+        await event.save();
+      }
+
+      if (team.isComplete) await issueTeamTickets(team, event);
+
+      res.status(201).json({
+        message: team.isComplete
+          ? "Team created. Ticket issued."
+          : `Team created. Tickets are issued once the team has ${event.minTeamSize} members.`,
+        team,
+        registrationId: registration._id
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Join Team with invite code (participant)
+router.post(
+  "/:id/teams/join",
+  authMiddleware,
+  roleMiddleware("participant"),
+  rateLimit("register", "user"),
+  async (req, res) => {
+    try {
+      const { inviteCode } = req.body;
+      if (!inviteCode) return res.status(400).json({ message: "inviteCode is required." });
+
+      const event = await Event.findById(req.params.id);
+      const participant = await User.findById(req.user.id);
+
+      if (!event) return res.status(404).json({ message: "Event not found." });
+      if (!event.isTeamEvent)
+        return res.status(400).json({ message: "This event does not use team registration." });
+
+      const status = getEffectiveStatus(event);
+      if (!["Published", "Ongoing"].includes(status))
+        return res.status(400).json({ message: `Registration not available (event is ${status}).` });
+      if (new Date() > event.registrationDeadline)
+        return res.status(400).json({ message: "Registration deadline has passed." });
+
+      const ineligible = getEligibilityBlocker(event, participant);
+      if (ineligible) return res.status(403).json({ message: ineligible });
+
+      const { formData, uploadIds, errors: formErrors } =
+        await checkRegistrationForm(event, req.user.id, req.body.formData);
+      if (Object.keys(formErrors).length > 0)
+        return res.status(400).json({ message: "Please correct the highlighted form fields.", errors: formErrors });
+
+      const existing = await Registration.findOne({
+        eventId:       event._id,
+        participantId: req.user.id,
+        isCancelled:   { $ne: true }
+      });
+      if (existing) return res.status(400).json({ message: "Already registered." });
+
+      const found = await Team.findOne({
+        eventId:    event._id,
+        inviteCode: String(inviteCode).trim().toUpperCase()
+      });
+      if (!found) return res.status(404).json({ message: "Invalid invite code." });
+
+      const { pricing, error: couponError } =
+        await priceWithCoupon(req.body.couponCode, event, participant, event.registrationFee || 0);
+      if (couponError) return res.status(400).json({ message: couponError });
+      // Teams can't pay online (see models/Event) - refuse rather than register unpaid
+      if (needsOnlinePayment(event, pricing.amountPaid)) {
+        await releaseCoupon(pricing.couponId);
+        return res.status(400).json({ message: "Online payment is not available for team events." });
+      }
+
+      // Atomic size check so two people can't both take the last spot
+      const team = await Team.findOneAndUpdate(
+        { _id: found._id, $expr: { $lt: [{ $size: "$members" }, event.maxTeamSize] } },
+        { $addToSet: { members: req.user.id } },
+        { new: true }
+      );
+      if (!team) {
+        await releaseCoupon(pricing.couponId);
+        return res.status(400).json({ message: "This team is already full." });
+      }
+
+      let registration;
+      try {
+        registration = await Registration.create({
+          eventId:       event._id,
+          participantId: req.user.id,
+          teamId:        team._id,
+          formData,
+          paymentStatus: "Not Applicable",
+          ...pricing
+        });
+      } catch (err) {
+        // Give the spot back - the member has no registration
+        await Team.updateOne({ _id: team._id }, { $pull: { members: req.user.id } });
+        await releaseCoupon(pricing.couponId);
+        throw err;
+      }
+      await Upload.updateMany({ _id: { $in: uploadIds } }, { registrationId: registration._id });
+
+      if (!team.isComplete && team.members.length >= event.minTeamSize) {
+        team.isComplete = true;
+        await team.save();
+      }
+      if (team.isComplete) await issueTeamTickets(team, event);
+
+      res.status(201).json({
+        message: team.isComplete ? "Joined team. Ticket issued." : "Joined team.",
+        team: { id: team._id, name: team.name, size: team.members.length, isComplete: team.isComplete },
+        registrationId: registration._id
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// My Team (participant)
+router.get(
+  "/:id/teams/me",
+  authMiddleware,
+  roleMiddleware("participant"),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) return res.status(404).json({ message: "Event not found." });
+
+      const team = await Team.findOne({ eventId: event._id, members: req.user.id })
+        .populate("members", "firstName lastName email");
+      if (!team) return res.status(404).json({ message: "You are not in a team for this event." });
+
+      res.json({
+        team: {
+          id:          team._id,
+          name:        team.name,
+          inviteCode:  team.inviteCode,
+          leaderId:    team.leaderId,
+          members:     team.members,
+          isComplete:  team.isComplete,
+          minTeamSize: event.minTeamSize,
+          maxTeamSize: event.maxTeamSize
+        }
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Preview a coupon (participant) - body: code, plus tierId for tiered events or the cart (items) for merch
+router.post(
+  "/:id/coupons/validate",
+  authMiddleware,
+  roleMiddleware("participant"),
+  rateLimit("register", "user"),
+  async (req, res) => {
+    try {
+      const { code, tierId } = req.body;
+      if (!code) return res.status(400).json({ message: "code is required." });
+
+      const event = await Event.findById(req.params.id);
+      const participant = await User.findById(req.user.id);
+      if (!event) return res.status(404).json({ message: "Event not found." });
+
+      let originalAmount = event.registrationFee || 0;
+      if (event.ticketTiers?.length > 0) {
+        const tier = event.ticketTiers.id(tierId);
+        if (!tier) return res.status(404).json({ message: "Ticket tier not found." });
+        originalAmount = tier.price;
+      }
+      if (event.type === "merchandise") {
+        const { items, error: itemsError, status: itemsStatus } = selectOrderItems(event, req.body);
+        if (itemsError) return res.status(itemsStatus || 400).json({ message: itemsError });
+        originalAmount = orderTotal(items);
+      }
+
+      const { coupon, discountAmount, error } = await checkCoupon({ code, event, participant, amount: originalAmount });
+      if (error) return res.status(400).json({ message: error, valid: false });
+
+      res.json({
+        valid:          true,
+        code:           coupon.code,
+        description:    coupon.description,
+        discountType:   coupon.discountType,
+        discountValue:  coupon.discountValue,
+        originalAmount,
+        discountAmount,
+        finalAmount:    originalAmount - discountAmount
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Cancel Registration (participant) - frees the seat for the waitlist
+router.put(
+  "/:id/cancel",
+  authMiddleware,
+  roleMiddleware("participant"),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) return res.status(404).json({ message: "Event not found." });
+      if (event.type !== "normal")
+        return res.status(400).json({ message: "Use /orders/:regId/cancel for merchandise orders." });
+
+      const blocker = getCancellationBlocker(event);
+      if (blocker) return res.status(400).json({ message: blocker });
 
-    // Check if the participant is already registered (useful for UI)
-    let isRegistered = false;
-    if (req.user.role === "participant") {
       const reg = await Registration.findOne({
         eventId:       event._id,
-        participantId: req.user.id
+        participantId: req.user.id,
+        isCancelled:   { $ne: true }
       });
-      isRegistered = !!reg;
-    }
+      if (!reg) return res.status(404).json({ message: "You are not registered for this event." });
+      if (reg.attended)
+        return res.status(400).json({ message: "Attendance has already been marked for this registration." });
 
-    res.json({
-      event: { ...event.toObject(), effectiveStatus: getEffectiveStatus(event) },
-      isRegistered
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+      reg.isCancelled        = true;
+      reg.cancelledAt        = new Date();
+      reg.cancellationReason = req.body.reason || "";
+      await reg.save();
+      await releaseSeat(reg);
+      await releaseCoupon(reg.couponId);
+      await cancelReservationExpiry(reg._id);
+      const refunds = await closePayments(reg._id);
+
+      // Leaving a team: hand over leadership, or dissolve the team if it is now empty.
+      // Tickets already issued to the remaining members stay valid.
+      if (reg.teamId) {
+        const team = await Team.findByIdAndUpdate(
+          reg.teamId,
+          { $pull: { members: reg.participantId } },
+          { new: true }
+        );
+        if (team && team.members.length === 0) {
+          // The dissolved team's slot opens up for a new one
+          if (await Team.findByIdAndDelete(team._id)) await restoreSeat(event._id);
+        } else if (team && team.leaderId.toString() === req.user.id) {
+          team.leaderId = team.members[0];
+          await team.save();
+        }
+      }
+
+      await promoteFromWaitlist(event._id);
+
+      res.json({
+        message: refunds > 0 ? "Registration cancelled. Your online payment will be refunded." : "Registration cancelled.",
+        registration: reg
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Normal Event Registration
+// Join Waitlist (participant) - only once the event is full
 router.post(
-  "/:id/register",
+  "/:id/waitlist",
   authMiddleware,
   roleMiddleware("participant"),
   async (req, res) => {
@@ -254,50 +1050,117 @@ router.post(
       const participant = await User.findById(req.user.id);
 
       if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.type !== "normal")
-        return res.status(400).json({ message: "Use /order for merchandise events." });
+      if (event.type !== "normal" || event.isTeamEvent)
+        return res.status(400).json({ message: "Waitlists are only available for individual normal events." });
 
       const status = getEffectiveStatus(event);
       if (!["Published", "Ongoing"].includes(status))
-        return res.status(400).json({ message: `Registration not available (event is ${status}).` });
+        return res.status(400).json({ message: `Waitlist not available (event is ${status}).` });
       if (new Date() > event.registrationDeadline)
         return res.status(400).json({ message: "Registration deadline has passed." });
 
-      // Eligibility check
-      if (event.eligibility === "iiit" && participant.participantType !== "iiit")
-        return res.status(403).json({ message: "This event is for IIIT students only." });
-      if (event.eligibility === "non-iiit" && participant.participantType !== "non-iiit")
-        return res.status(403).json({ message: "This event is for non-IIIT participants only." });
+      const ineligible = getEligibilityBlocker(event, participant);
+      if (ineligible) return res.status(403).json({ message: ineligible });
 
-      // Capacity check
-      if (event.registrationLimit) {
-        const count = await Registration.countDocuments({ eventId: event._id });
-        if (count >= event.registrationLimit)
-          return res.status(400).json({ message: "Registration limit reached." });
-      }
+      const { tier, error: tierError } = selectTier(event, req.body.tierId, participant);
+      if (tierError) return res.status(400).json({ message: tierError });
 
-      const existing = await Registration.findOne({ eventId: event._id, participantId: req.user.id });
-      if (existing) return res.status(400).json({ message: "Already registered." });
+      const { formData, uploadIds, errors: formErrors } =
+        await checkRegistrationForm(event, req.user.id, req.body.formData);
+      if (Object.keys(formErrors).length > 0)
+        return res.status(400).json({ message: "Please correct the highlighted form fields.", errors: formErrors });
 
-      const ticketId = generateTicketId();
+      // Either the whole event or the requested tier must be full
+      const eventFull = event.registrationLimit && (event.seatsTaken || 0) >= event.registrationLimit;
+      if (!eventFull && !(tier && isTierSoldOut(tier)))
+        return res.status(400).json({ message: "Seats are still available. Please register directly." });
 
-      const registration = await Registration.create({
+      const registered = await Registration.findOne({
         eventId:       event._id,
         participantId: req.user.id,
-        ticketId,
-        formData:      req.body.formData || {},
-        paymentStatus: "Not Applicable"
+        isCancelled:   { $ne: true }
       });
+      if (registered) return res.status(400).json({ message: "Already registered." });
 
-      // Lock form after first registration
-      if (!event.isFormLocked) {
-        event.isFormLocked = true;
-        await event.save();
-      }
+      const existing = await WaitlistEntry.findOne({ eventId: event._id, participantId: req.user.id });
+      if (existing) return res.status(400).json({ message: "Already on the waitlist." });
 
-      sendTicketEmail(participant.email, ticketId, event.name, participant.firstName);
+      const last = await WaitlistEntry.findOne({ eventId: event._id }).sort({ position: -1 });
 
-      res.status(201).json({ message: "Registered.", ticketId, registration });
+      const entry = await WaitlistEntry.create({
+        eventId:       event._id,
+        participantId: req.user.id,
+        position:      last ? last.position + 1 : 1,
+        tierId:        tier?._id,
+        formData
+      });
+      await Upload.updateMany({ _id: { $in: uploadIds } }, { waitlistEntryId: entry._id });
+
+      const position = await WaitlistEntry.countDocuments({
+        eventId:  event._id,
+        position: { $lte: entry.position }
+      });
+
+      res.status(201).json({ message: "Added to waitlist.", position, entryId: entry._id });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Leave Waitlist (participant)
+router.delete(
+  "/:id/waitlist",
+  authMiddleware,
+  roleMiddleware("participant"),
+  async (req, res) => {
+    try {
+      const entry = await WaitlistEntry.findOneAndDelete({
+        eventId:       req.params.id,
+        participantId: req.user.id
+      });
+      if (!entry) return res.status(404).json({ message: "You are not on the waitlist." });
+
+      await deleteUploads({ waitlistEntryId: entry._id });
+
+      res.json({ message: "Removed from waitlist." });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Reorder Waitlist (organizer) - body.order is the full list of entry IDs, first = next to promote
+router.put(
+  "/:id/waitlist/reorder",
+  authMiddleware,
+  requireEventPermission("events:write"),
+  async (req, res) => {
+    try {
+      const { order } = req.body;
+      if (!Array.isArray(order))
+        return res.status(400).json({ message: "order must be an array of waitlist entry IDs." });
+
+      const { event } = req;
+
+      const entries = await WaitlistEntry.find({ eventId: event._id });
+      const entryIds = entries.map((e) => e._id.toString());
+      const requested = order.map(String);
+
+      const sameSet =
+        requested.length === entryIds.length &&
+        new Set(requested).size === requested.length &&
+        requested.every((id) => entryIds.includes(id));
+      if (!sameSet)
+        return res.status(400).json({ message: "order must contain every current waitlist entry exactly once." });
+
+      await WaitlistEntry.bulkWrite(
+        requested.map((id, idx) => ({
+          updateOne: { filter: { _id: id }, update: { $set: { position: idx + 1 } } }
+        }))
+      );
+
+      res.json({ message: "Waitlist reordered.", count: requested.length });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -309,6 +1172,7 @@ router.post(
   "/:id/order",
   authMiddleware,
   roleMiddleware("participant"),
+  rateLimit("register", "user"),
   async (req, res) => {
     try {
       const event = await Event.findById(req.params.id);
@@ -323,91 +1187,168 @@ router.post(
         return res.status(400).json({ message: `Orders not available (event is ${status}).` });
       if (new Date() > event.registrationDeadline)
         return res.status(400).json({ message: "Order deadline has passed." });
+      if (gatewayUnavailable(event))
+        return res.status(503).json({ message: "Online payment is not available for this event right now." });
 
       // Eligibility
-      if (event.eligibility === "iiit" && participant.participantType !== "iiit")
-        return res.status(403).json({ message: "This event is for IIIT students only." });
-      if (event.eligibility === "non-iiit" && participant.participantType !== "non-iiit")
-        return res.status(403).json({ message: "This event is for non-IIIT participants only." });
-
-      const { variantId, quantity = 1 } = req.body;
-      if (!variantId) return res.status(400).json({ message: "variantId is required." });
+      const ineligible = getEligibilityBlocker(event, participant);
+      if (ineligible) return res.status(403).json({ message: ineligible });
 
-      const variant = event.merchandiseVariants.id(variantId);
-      if (!variant) return res.status(404).json({ message: "Variant not found." });
+      // Cart - body.items [{ variantId, quantity }] (or a single variantId / quantity)
+      const { items, error: itemsError, status: itemsStatus } = selectOrderItems(event, req.body);
+      if (itemsError) return res.status(itemsStatus || 400).json({ message: itemsError });
+      const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
 
-      // Check per-user purchase limit
-      const pastOrders = await Registration.find({ eventId: event._id, participantId: req.user.id });
+      // Check per-user purchase limit across every line
+      const pastOrders = await Registration.find({
+        eventId:       event._id,
+        participantId: req.user.id,
+        isCancelled:   { $ne: true }
+      });
       const totalBought = pastOrders.reduce((sum, r) => sum + (r.quantity || 0), 0);
       if (totalBought + quantity > event.purchaseLimitPerUser)
         return res.status(400).json({ message: `Purchase limit per user is ${event.purchaseLimitPerUser}.` });
 
-      // Duplicate check (one registration doc per user per event)
-      const existing = await Registration.findOne({ eventId: event._id, participantId: req.user.id });
+      // Duplicate check (one order per user per event - add every item to it up front)
+      const existing = await Registration.findOne({
+        eventId:       event._id,
+        participantId: req.user.id,
+        isCancelled:   { $ne: true }
+      });
       if (existing)
         return res.status(400).json({ message: "You already have an active order for this event." });
 
-      if (event.requiresPaymentApproval) {
-        const registration = await Registration.create({
-          eventId:       event._id,
-          participantId: req.user.id,
-          variantId,
-          quantity,
-          paymentStatus: "Pending"
-          // ticketId generated only after approval
-        });
+      const shortItem = items.find((item) => event.merchandiseVariants.id(item.variantId).stock < item.quantity);
+      if (shortItem)
+        return res.status(400).json({ message: `Insufficient stock for ${describeVariant(shortItem)}.` });
+
+      const { pricing, error: couponError } =
+        await priceWithCoupon(req.body.couponCode, event, participant, orderTotal(items));
+      if (couponError) return res.status(400).json({ message: couponError });
+
+      // Units are taken atomically up front. Approval-required orders hold
+      // them until review, or until the reservation runs out without proof.
+      const unavailable = await reserveItems(event._id, items);
+      if (unavailable) {
+        await releaseCoupon(pricing.couponId);
+        return res.status(400).json({ message: `Insufficient stock for ${describeVariant(unavailable)}.` });
+      }
+
+      const order = {
+        eventId:       event._id,
+        participantId: req.user.id,
+        items,
+        quantity,
+        stockReserved: true,
+        ...pricing
+      };
+      // Orders paid online wait for the gateway instead of an organizer
+      const payOnline = needsOnlinePayment(event, pricing.amountPaid);
+      let registration;
+      try {
+        registration = await Registration.create(payOnline || event.requiresPaymentApproval
+          ? {
+              ...order,
+              paymentStatus:        "Pending",
+              reservationExpiresAt: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000)
+              // ticketId generated only after approval
+            }
+          : { ...order, paymentStatus: "Approved", ticketId: generateTicketId() });
+      } catch (err) {
+        await restoreItems(event._id, items);
+        await releaseCoupon(pricing.couponId);
+        throw err;
+      }
+
+      if (payOnline) {
+        await scheduleReservationExpiry(registration);
+        const payment = await createPaymentIntent(registration, event, participant);
         return res.status(201).json({
-          message: "Order placed. Please upload your payment proof.",
+          message: `Order placed. Complete the payment within ${RESERVATION_MINUTES} minutes to keep your reservation.`,
           registrationId: registration._id,
-          registration
+          reservationExpiresAt: registration.reservationExpiresAt,
+          registration,
+          payment: paymentSummary(payment)
         });
-      } else {
-        if (variant.stock < quantity)
-          return res.status(400).json({ message: "Insufficient stock." });
-
-        variant.stock -= quantity;
-        await event.save();
+      }
 
-        const ticketId = generateTicketId();
-        const registration = await Registration.create({
-          eventId:       event._id,
-          participantId: req.user.id,
-          ticketId,
-          variantId,
-          quantity,
-          paymentStatus: "Approved"
+      if (event.requiresPaymentApproval) {
+        await scheduleReservationExpiry(registration);
+        return res.status(201).json({
+          message: `Order placed. Please upload your payment proof within ${RESERVATION_MINUTES} minutes to keep your reservation.`,
+          registrationId: registration._id,
+          reservationExpiresAt: registration.reservationExpiresAt,
+          registration
         });
-
-        sendTicketEmail(participant.email, ticketId, event.name, participant.firstName);
-        return res.status(201).json({ message: "Order placed.", ticketId, registration });
       }
+
+      sendTicket(registration, event, participant);
+      return res.status(201).json({ message: "Order placed.", ticketId: registration.ticketId, registration });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   }
 );
 
-// Upload Payment Proof URL (participant)
+// Submit Payment Proof (participant) - an uploadId from POST /api/uploads, or an external URL
 router.patch(
   "/:id/orders/:regId/proof",
   authMiddleware,
   roleMiddleware("participant"),
   async (req, res) => {
     try {
-      const { paymentProofUrl } = req.body;
-      if (!paymentProofUrl)
-        return res.status(400).json({ message: "paymentProofUrl is required." });
+      const { paymentProofUrl, uploadId } = req.body;
+      if (!paymentProofUrl && !uploadId)
+        return res.status(400).json({ message: "uploadId or paymentProofUrl is required." });
 
       const reg = await Registration.findOne({
         _id:           req.params.regId,
         eventId:       req.params.id,
         participantId: req.user.id
       });
-      if (!reg) return res.status(404).json({ message: "Order not found." });
+      if (!reg || reg.isCancelled) return res.status(404).json({ message: "Order not found." });
       if (reg.paymentStatus !== "Pending")
         return res.status(400).json({ message: "Only Pending orders can have proof uploaded." });
+      if (await Payment.exists({ registrationId: reg._id }))
+        return res.status(400).json({ message: "This order is paid online. Use the payment link instead." });
+
+      // Proof is in: the reservation now lasts until the organizer reviews it
+      if (reg.reservationExpiresAt) {
+        const held = await Registration.findOneAndUpdate(
+          {
+            _id:                  reg._id,
+            paymentStatus:        "Pending",
+            isCancelled:          { $ne: true },
+            reservationExpiresAt: { $gt: new Date() }
+          },
+          { $set: { reservationExpiresAt: null } }
+        );
+        if (!held)
+          return res.status(400).json({ message: "Your reservation has expired. Please place a new order." });
+        reg.reservationExpiresAt = null;
+        await cancelReservationExpiry(reg._id);
+      }
+
+      if (uploadId) {
+        const upload = mongoose.isValidObjectId(uploadId) && await Upload.findOne({
+          _id:            uploadId,
+          ownerId:        req.user.id,
+          eventId:        reg.eventId,
+          purpose:        "payment-proof",
+          registrationId: null
+        });
+        if (!upload) return res.status(404).json({ message: "Uploaded file not found." });
+
+        // Replacing an earlier proof: drop the old file
+        if (reg.paymentProofUploadId) await deleteUploads({ _id: reg.paymentProofUploadId });
 
-      reg.paymentProofUrl = paymentProofUrl;
+        upload.registrationId    = reg._id;
+        await upload.save();
+        reg.paymentProofUploadId = upload._id;
+        reg.paymentProofUrl      = `/api/uploads/${upload._id}`;
+      } else {
+        reg.paymentProofUrl = paymentProofUrl;
+      }
       await reg.save();
 
       res.json({ message: "Payment proof submitted. Awaiting organizer approval.", registration: reg });
@@ -417,35 +1358,87 @@ router.patch(
   }
 );
 
+// Cancel Merchandise Order (participant) - gives the held units back
+router.put(
+  "/:id/orders/:regId/cancel",
+  authMiddleware,
+  roleMiddleware("participant"),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) return res.status(404).json({ message: "Event not found." });
+      if (event.type !== "merchandise")
+        return res.status(400).json({ message: "Use /cancel for event registrations." });
+
+      const blocker = getCancellationBlocker(event);
+      if (blocker) return res.status(400).json({ message: blocker });
+
+      const reg = await Registration.findOne({
+        _id:           req.params.regId,
+        eventId:       event._id,
+        participantId: req.user.id
+      });
+      if (!reg || reg.isCancelled) return res.status(404).json({ message: "Order not found." });
+      if (!["Pending", "Approved"].includes(reg.paymentStatus))
+        return res.status(400).json({ message: "Only Pending or Approved orders can be cancelled." });
+      if (["Partially Collected", "Collected"].includes(getFulfilmentStatus(reg)))
+        return res.status(400).json({ message: "Items from this order have already been collected." });
+
+      reg.isCancelled        = true;
+      reg.cancelledAt        = new Date();
+      reg.cancellationReason = req.body.reason || "";
+      await reg.save();
+      await releaseOrderStock(reg);
+      await releaseCoupon(reg.couponId);
+      await cancelReservationExpiry(reg._id);
+      const refunds = await closePayments(reg._id);
+
+      res.json({
+        message: refunds > 0 ? "Order cancelled. Your online payment will be refunded." : "Order cancelled.",
+        registration: reg
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 // List Pending Orders (organizer)
 router.get(
   "/:id/orders/pending",
   authMiddleware,
-  roleMiddleware("organizer"),
+  requireEventPermission("orders:manage"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
 
       const orders = await Registration.find({
         eventId:       event._id,
-        paymentStatus: "Pending"
+        paymentStatus: "Pending",
+        isCancelled:   { $ne: true }
       }).populate("participantId", "firstName lastName email contactNumber");
 
       const result = orders.map((o) => {
-        const variant = event.merchandiseVariants.id(o.variantId);
+        const items = getOrderItems(o, event);
         return {
           registrationId:  o._id,
           participant:     o.participantId,
-          variant:         variant ? { size: variant.size, color: variant.color, price: variant.price } : null,
-          quantity:        o.quantity,
+          items:           items.map((item) => ({
+            variantId: item.variantId,
+            size:      item.size,
+            color:     item.color,
+            quantity:  item.quantity,
+            unitPrice: item.unitPrice,
+            lineTotal: item.quantity * item.unitPrice
+          })),
+          quantity:        items.reduce((sum, item) => sum + item.quantity, 0),
+          originalAmount:  o.originalAmount ?? orderTotal(items),
+          discountAmount:  o.discountAmount || 0,
+          amountDue:       o.amountPaid ?? orderTotal(items),
+          couponCode:      o.couponCode || null,
           paymentProofUrl: o.paymentProofUrl,
           paymentStatus:   o.paymentStatus,
+          reservationExpiresAt: o.reservationExpiresAt || null,
           placedAt:        o.createdAt
         };
       });
@@ -461,37 +1454,38 @@ router.get(
 router.put(
   "/:id/orders/:regId/approve",
   authMiddleware,
-  roleMiddleware("organizer"),
+  requireEventPermission("orders:manage"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
 
       const reg = await Registration.findOne({ _id: req.params.regId, eventId: event._id });
-      if (!reg) return res.status(404).json({ message: "Order not found." });
+      if (!reg || reg.isCancelled) return res.status(404).json({ message: "Order not found." });
       if (reg.paymentStatus !== "Pending")
         return res.status(400).json({ message: "Only Pending orders can be approved." });
 
-      const variant = event.merchandiseVariants.id(reg.variantId);
-      if (!variant || variant.stock < reg.quantity)
-        return res.status(400).json({ message: "Insufficient stock to approve." });
-
-      variant.stock -= reg.quantity;
-      await event.save();
-
-      const ticketId = generateTicketId();
-      reg.paymentStatus = "Approved";
-      reg.ticketId      = ticketId;
-      await reg.save();
+      // Orders placed before reservations existed don't hold any units yet
+      const needsStock = event.type === "merchandise" && !reg.stockReserved;
+      const items = getOrderItems(reg, event);
+      if (needsStock) {
+        const unavailable = await reserveItems(event._id, items);
+        if (unavailable)
+          return res.status(400).json({ message: `Insufficient stock to approve (${describeVariant(unavailable)}).` });
+      }
 
-      const participant = await User.findById(reg.participantId);
-      sendTicketEmail(participant.email, ticketId, event.name, participant.firstName);
+      // Conditional so an approval can't revive an order that was cancelled
+      // or expired (and had its units released) in the meantime
+      const approved = await issueTicket(reg, event, {
+        filter: reg.stockReserved ? { stockReserved: true } : {},
+        set:    needsStock ? { stockReserved: true } : {}
+      });
+      if (!approved) {
+        if (needsStock) await restoreItems(event._id, items);
+        return res.status(409).json({ message: "This order was cancelled or its reservation expired in the meantime." });
+      }
+      await cancelReservationExpiry(reg._id);
 
+      const { ticketId } = approved;
       res.json({ message: "Order approved. Ticket generated and email sent.", ticketId });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -503,24 +1497,22 @@ router.put(
 router.put(
   "/:id/orders/:regId/reject",
   authMiddleware,
-  roleMiddleware("organizer"),
+  requireEventPermission("orders:manage"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
 
       const reg = await Registration.findOne({ _id: req.params.regId, eventId: event._id });
-      if (!reg) return res.status(404).json({ message: "Order not found." });
+      if (!reg || reg.isCancelled) return res.status(404).json({ message: "Order not found." });
       if (reg.paymentStatus !== "Pending")
         return res.status(400).json({ message: "Only Pending orders can be rejected." });
 
-      reg.paymentStatus = "Rejected";
+      reg.paymentStatus   = "Rejected";
+      reg.rejectionReason = req.body.reason || "";
       await reg.save();
+      await releaseOrderStock(reg);
+      await releaseCoupon(reg.couponId);
+      await cancelReservationExpiry(reg._id);
 
       res.json({ message: "Order rejected." });
     } catch (err) {
@@ -531,34 +1523,42 @@ router.put(
 
 router.get(
   "/:id/organizer-details",
-  authMiddleware,
-  roleMiddleware("organizer"),
+  authMiddleware.allowApiKeys,
+  requireEventPermission("registrations:read"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
+      const { event } = req;
 
-      const event = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
-
-      const registrations = await Registration.find({ eventId: event._id })
+      const registrations = await Registration.find({ eventId: event._id, isCancelled: { $ne: true } })
         .populate("participantId", "firstName lastName email participantType collegeName")
+        .populate("teamId", "name")
         .sort({ createdAt: -1 });
 
+      const waitlistEntries = await WaitlistEntry.find({ eventId: event._id })
+        .populate("participantId", "firstName lastName email participantType")
+        .sort({ position: 1 });
+
       const totalRegistrations = registrations.length;
       const attendedCount      = registrations.filter((r) => r.attended).length;
 
-      let totalRevenue = 0;
-      if (event.type === "normal") {
-        totalRevenue = totalRegistrations * (event.registrationFee || 0);
-      } else {
-        registrations.forEach((reg) => {
-          const variant = event.merchandiseVariants.id(reg.variantId);
-          if (variant) totalRevenue += reg.quantity * variant.price;
-        });
-      }
+      let totalRevenue   = 0;
+      let totalDiscounts = 0;
+      const tierStats = new Map(
+        (event.ticketTiers || []).map((tier) => [tier._id.toString(), { tier: tier.name, registrations: 0, revenue: 0 }])
+      );
+      registrations.forEach((reg) => {
+        const revenue = getRegistrationRevenue(event, reg);
+        totalRevenue += revenue;
+        if (revenue > 0) totalDiscounts += reg.discountAmount || 0;
+
+        if (reg.tierId) {
+          const key = reg.tierId.toString();
+          // Tier removed after sale - keep it in the breakdown under its purchase-time name
+          if (!tierStats.has(key)) tierStats.set(key, { tier: reg.tierName, registrations: 0, revenue: 0 });
+          tierStats.get(key).registrations += 1;
+          tierStats.get(key).revenue       += revenue;
+        }
+      });
 
       const participantsList = registrations.map((reg) => ({
         name:             `${reg.participantId.firstName} ${reg.participantId.lastName}`,
@@ -569,9 +1569,20 @@ router.get(
         paymentStatus:    reg.paymentStatus,
         attendance:       reg.attended ? "Present" : "Absent",
         formData:         Object.fromEntries(reg.formData || new Map()),
-        ticketId:         reg.ticketId
+        ticketId:         reg.ticketId,
+        team:             reg.teamId?.name || null,
+        tier:             reg.tierName || null,
+        sessions:         event.sessions?.length > 0 ? getRegisteredSessionTitles(event, reg) : null,
+        items:            event.type === "merchandise" ? getOrderItems(reg, event) : null,
+        pickupStatus:     event.type === "merchandise" ? getFulfilmentStatus(reg) : null,
+        amountPaid:       getRegistrationRevenue(event, reg),
+        couponCode:       reg.couponCode || null
       }));
 
+      const teams = event.isTeamEvent
+        ? await Team.find({ eventId: event._id }).populate("members", "firstName lastName email")
+        : [];
+
       res.json({
         overview: {
           name:        event.name,
@@ -585,9 +1596,28 @@ router.get(
           totalRegistrations,
           attendanceCount:        attendedCount,
           attendanceRate:         totalRegistrations > 0 ? ((attendedCount / totalRegistrations) * 100).toFixed(1) + "%" : "0%",
-          revenue:                totalRevenue
+          revenue:                totalRevenue,
+          discountsGiven:         totalDiscounts,
+          revenueByTier:          [...tierStats.values()],
+          waitlistCount:          waitlistEntries.length,
+          teamCount:              teams.length
         },
-        participants: participantsList
+        participants: participantsList,
+        teams: teams.map((t) => ({
+          id:         t._id,
+          name:       t.name,
+          leaderId:   t.leaderId,
+          members:    t.members,
+          isComplete: t.isComplete
+        })),
+        waitlist: waitlistEntries.map((entry, idx) => ({
+          entryId:         entry._id,
+          position:        idx + 1,
+          name:            `${entry.participantId.firstName} ${entry.participantId.lastName}`,
+          email:           entry.participantId.email,
+          participantType: entry.participantId.participantType,
+          joinedAt:        entry.createdAt
+        }))
       });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -598,29 +1628,45 @@ router.get(
 // Export Participants as CSV
 router.get(
   "/:id/export-participants",
-  authMiddleware,
-  roleMiddleware("organizer"),
+  authMiddleware.allowApiKeys,
+  requireEventPermission("registrations:read"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event     = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
 
-      const registrations = await Registration.find({ eventId: event._id })
+      const registrations = await Registration.find({ eventId: event._id, isCancelled: { $ne: true } })
         .populate("participantId", "firstName lastName email participantType collegeName")
+        .populate("teamId", "name leaderId")
         .lean();
 
+      // Team events: keep members of the same team together, leader first
+      if (event.isTeamEvent) {
+        const isLeader = (reg) => reg.teamId?.leaderId?.toString() === reg.participantId._id.toString();
+        registrations.sort((a, b) =>
+          (a.teamId?.name || "").localeCompare(b.teamId?.name || "") || isLeader(b) - isLeader(a)
+        );
+      }
+
       const data = registrations.map((reg) => ({
+        ...(event.isTeamEvent
+          ? {
+              Team:     reg.teamId?.name || "",
+              TeamRole: reg.teamId?.leaderId?.toString() === reg.participantId._id.toString() ? "Leader" : "Member"
+            }
+          : {}),
         Name:            `${reg.participantId.firstName} ${reg.participantId.lastName}`,
         Email:           reg.participantId.email,
         Type:            reg.participantId.participantType,
         College:         reg.participantId.collegeName || "",
         RegistrationDate: new Date(reg.createdAt).toLocaleDateString(),
+        ...(event.ticketTiers?.length > 0 ? { Tier: reg.tierName || "" } : {}),
+        ...(event.sessions?.length > 0 ? { Sessions: getRegisteredSessionTitles(event, reg).join("; ") } : {}),
+        ...(event.type === "merchandise"
+          ? { Items: summarizeItems(getOrderItems(reg, event)), Pickup: getFulfilmentStatus(reg) || "" }
+          : {}),
         PaymentStatus:   reg.paymentStatus,
+        AmountPaid:      getRegistrationRevenue(event, reg),
+        Coupon:          reg.couponCode || "",
         Attendance:      reg.attended ? "Present" : "Absent",
         TicketID:        reg.ticketId || "",
         ...(reg.formData ? Object.fromEntries(Object.entries(reg.formData)) : {})
@@ -636,29 +1682,237 @@ router.get(
   }
 );
 
-// Scan QR Code - mark attendance
+// Download the PDF receipt of a paid registration / order (organizer)
+router.get(
+  "/:id/registrations/:regId/receipt",
+  authMiddleware.allowApiKeys,
+  requireEventPermission("registrations:read"),
+  async (req, res) => {
+    try {
+      const { event } = req;
+
+      const reg = await Registration.findOne({ _id: req.params.regId, eventId: event._id });
+      if (!reg) return res.status(404).json({ message: "Registration not found." });
+
+      const receipt = await generateReceipt(reg, event);
+      if (!receipt) return res.status(404).json({ message: "No receipt - nothing has been paid for this registration." });
+      if (receipt === RECEIPT_PENDING) {
+        res.header("Retry-After", "5");
+        return res.status(503).json({ message: "The receipt is still being issued. Please try again shortly." });
+      }
+
+      res.header("Content-Type", "application/pdf");
+      res.attachment(receipt.filename);
+      return res.send(receipt.content);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Merch stall scan - hands over everything still owed on the order, or just
+// body.items [{ variantId, quantity }] for a partial pickup, and records who did it
+const handlePickupScan = async (req, res) => {
+  try {
+    const { ticketId, items } = req.body;
+    if (!ticketId) return res.status(400).json({ message: "ticketId is required." });
+
+    const { event } = req;
+    if (event.type !== "merchandise")
+      return res.status(400).json({ message: "Pickup is only tracked for merchandise events." });
+
+    const reg = await Registration.findOne({ ticketId })
+      .populate("participantId", "firstName lastName email");
+    if (!reg) return res.status(404).json({ message: "Ticket not found." });
+    if (reg.eventId.toString() !== event._id.toString())
+      return res.status(400).json({ message: "This ticket belongs to a different event." });
+    if (reg.isCancelled)
+      return res.status(400).json({ message: "This order has been cancelled.", participant: reg.participantId });
+
+    const result = await recordPickup(reg, event, items, {
+      handedOverBy: req.user.id || undefined,
+      apiKeyId:     req.user.apiKey?.id
+    });
+    if (result.error)
+      return res.status(result.status).json({
+        message:          result.error,
+        participant:      reg.participantId,
+        fulfilmentStatus: getFulfilmentStatus(reg),
+        lastPickupAt:     reg.pickups.at(-1)?.at || reg.attendanceTimestamp || null,
+        items:            getPickupLines(reg, event)
+      });
+
+    const uncollected = await Registration.countDocuments({ eventId: event._id, ...UNCOLLECTED });
+
+    res.json({
+      message:          result.status === "Collected" ? "Order collected." : "Partial pickup recorded.",
+      participant:      reg.participantId,
+      fulfilmentStatus: result.status,
+      handedOver:       result.handedOver.map((h) => {
+        const line = result.lines.find((l) => l.variantId.toString() === h.variantId.toString());
+        return { variantId: h.variantId, size: line.size, color: line.color, quantity: h.quantity };
+      }),
+      items:            result.lines,
+      liveDashboard:    { uncollectedOrders: uncollected }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+router.post(
+  "/:id/pickup/scan",
+  authMiddleware.allowApiKeys,
+  requireEventPermission("attendance:scan"),
+  rateLimit("scan", "user", "ip"),
+  handlePickupScan
+);
+
+// Pickup Dashboard - uncollected orders by default, or ?status=Awaiting Pickup /
+// Partially Collected / Collected
+router.get(
+  "/:id/pickup",
+  authMiddleware.allowApiKeys,
+  requireEventPermission("attendance:read"),
+  async (req, res) => {
+    try {
+      const { event } = req;
+      if (event.type !== "merchandise")
+        return res.status(400).json({ message: "Pickup is only tracked for merchandise events." });
+
+      const { status } = req.query;
+      const statuses = ["Awaiting Pickup", "Partially Collected", "Collected"];
+      if (status && !statuses.includes(status))
+        return res.status(400).json({ message: `status must be one of: ${statuses.join(", ")}.` });
+
+      const orders = await Registration.find({ eventId: event._id, paymentStatus: "Approved", isCancelled: { $ne: true } })
+        .populate("participantId", "firstName lastName email contactNumber")
+        .populate("pickups.handedOverBy", "firstName lastName")
+        .sort({ createdAt: 1 });
+
+      const summary  = { totalOrders: orders.length, "Awaiting Pickup": 0, "Partially Collected": 0, "Collected": 0 };
+      const variants = new Map();
+      const listed   = [];
+      for (const order of orders) {
+        const orderStatus = getFulfilmentStatus(order);
+        summary[orderStatus] += 1;
+
+        const lines = getPickupLines(order, event);
+        for (const line of lines) {
+          const key = line.variantId.toString();
+          if (!variants.has(key))
+            variants.set(key, { variantId: line.variantId, size: line.size, color: line.color, ordered: 0, collected: 0 });
+          variants.get(key).ordered   += line.quantity;
+          variants.get(key).collected += line.collectedQuantity;
+        }
+
+        if (status ? orderStatus !== status : orderStatus === "Collected") continue;
+        const lastPickup = order.pickups.at(-1);
+        listed.push({
+          registrationId:   order._id,
+          ticketId:         order.ticketId,
+          participant:      order.participantId,
+          fulfilmentStatus: orderStatus,
+          items:            lines,
+          lastPickup:       lastPickup
+            ? { at: lastPickup.at, handedOverBy: lastPickup.handedOverBy, viaApiKey: !!lastPickup.apiKeyId }
+            : null
+        });
+      }
+
+      res.json({
+        summary: {
+          totalOrders:        summary.totalOrders,
+          awaitingPickup:     summary["Awaiting Pickup"],
+          partiallyCollected: summary["Partially Collected"],
+          collected:          summary["Collected"],
+          byVariant:          [...variants.values()]
+        },
+        count:  listed.length,
+        orders: listed
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Scan QR Code - mark attendance. Events with sessions are scanned per session:
+// pass sessionId, or leave it out to use the session running right now.
+// Merchandise tickets are handed over as a pickup instead (same as /pickup/scan).
 router.post(
   "/:id/scan",
-  authMiddleware,
-  roleMiddleware("organizer"),
+  authMiddleware.allowApiKeys,
+  requireEventPermission("attendance:scan"),
+  rateLimit("scan", "user", "ip"),
   async (req, res) => {
     try {
       const { ticketId } = req.body;
       if (!ticketId) return res.status(400).json({ message: "ticketId is required." });
 
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event     = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
+      if (event.type === "merchandise") return handlePickupScan(req, res);
 
       const reg = await Registration.findOne({ ticketId })
         .populate("participantId", "firstName lastName email participantType");
       if (!reg) return res.status(404).json({ message: "Ticket not found." });
       if (reg.eventId.toString() !== req.params.id)
         return res.status(400).json({ message: "This ticket belongs to a different event." });
+      if (reg.isCancelled)
+        return res.status(400).json({
+          message: "This ticket has been cancelled.",
+          cancelledAt: reg.cancelledAt,
+          participant: reg.participantId
+        });
+
+      if (event.sessions?.length > 0) {
+        const { sessionId } = req.body;
+        const session = sessionId
+          ? mongoose.isValidObjectId(sessionId) && event.sessions.id(sessionId)
+          : getCurrentSession(event);
+        if (!session)
+          return res.status(400).json({
+            message: sessionId ? "Session not found." : "No session is running right now. Please choose a session (sessionId)."
+          });
+        if (!coversSession(reg, session._id))
+          return res.status(400).json({
+            message: `This ticket is not registered for "${session.title}".`,
+            participant: reg.participantId
+          });
+
+        const previous = getSessionAttendance(reg, session._id);
+        if (previous) {
+          return res.status(409).json({
+            message: "Duplicate scan - already marked present for this session.",
+            alreadyScannedAt: previous.attendedAt,
+            participant: reg.participantId
+          });
+        }
+
+        const now = new Date();
+        reg.sessionAttendance.push({ sessionId: session._id, attendedAt: now });
+        if (!reg.attended) {
+          reg.attended            = true;
+          reg.attendanceTimestamp = now;
+        }
+        await reg.save();
+
+        const sessionRegs    = await countSessionRegistrations(event._id, session._id);
+        const sessionScanned = await Registration.countDocuments({
+          eventId:                       event._id,
+          isCancelled:                   { $ne: true },
+          "sessionAttendance.sessionId": session._id
+        });
+
+        return res.json({
+          message: "Attendance marked.",
+          participant: reg.participantId,
+          tier: reg.tierName || null,
+          session: { sessionId: session._id, title: session.title },
+          attendanceTimestamp: now,
+          liveDashboard: { totalRegistrations: sessionRegs, scanned: sessionScanned, remaining: sessionRegs - sessionScanned }
+        });
+      }
 
       if (reg.attended) {
         return res.status(409).json({
@@ -673,12 +1927,13 @@ router.post(
       await reg.save();
 
       // Return live attendance count
-      const totalRegs   = await Registration.countDocuments({ eventId: event._id });
-      const totalScanned = await Registration.countDocuments({ eventId: event._id, attended: true });
+      const totalRegs   = await Registration.countDocuments({ eventId: event._id, isCancelled: { $ne: true } });
+      const totalScanned = await Registration.countDocuments({ eventId: event._id, isCancelled: { $ne: true }, attended: true });
 
       res.json({
         message: "Attendance marked.",
         participant: reg.participantId,
+        tier: reg.tierName || null,
         attendanceTimestamp: reg.attendanceTimestamp,
         liveDashboard: { totalRegistrations: totalRegs, scanned: totalScanned, remaining: totalRegs - totalScanned }
       });
@@ -688,44 +1943,85 @@ router.post(
   }
 );
 
-// Live Attendance Dashboard
+// Live Attendance Dashboard - ?sessionId= narrows the lists to one session
 router.get(
   "/:id/attendance",
-  authMiddleware,
-  roleMiddleware("organizer"),
+  authMiddleware.allowApiKeys,
+  requireEventPermission("attendance:read"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
+      const { event } = req;
 
-      const event     = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      let session = null;
+      if (req.query.sessionId) {
+        session = mongoose.isValidObjectId(req.query.sessionId) && event.sessions.id(req.query.sessionId);
+        if (!session) return res.status(404).json({ message: "Session not found." });
+      }
 
-      const registrations = await Registration.find({ eventId: event._id })
+      const allRegistrations = await Registration.find({ eventId: event._id, isCancelled: { $ne: true } })
         .populate("participantId", "firstName lastName email participantType")
         .sort({ attendanceTimestamp: -1 });
 
-      const scanned     = registrations.filter((r) => r.attended);
-      const notScanned  = registrations.filter((r) => !r.attended);
+      const bySession = (event.sessions || []).map((s) => {
+        const regs    = allRegistrations.filter((r) => coversSession(r, s._id));
+        const present = regs.filter((r) => getSessionAttendance(r, s._id)).length;
+        return {
+          sessionId: s._id,
+          title:     s.title,
+          venue:     s.venue || null,
+          startTime: s.startTime,
+          total:     regs.length,
+          present,
+          rate:      regs.length > 0 ? ((present / regs.length) * 100).toFixed(1) + "%" : "0%"
+        };
+      });
+
+      const registrations = session
+        ? allRegistrations.filter((r) => coversSession(r, session._id))
+        : allRegistrations;
+      // Per-session view reads the session's scan; otherwise the event-level flag
+      const scanOf = (r) => (session
+        ? getSessionAttendance(r, session._id)
+        : r.attended && { attendedAt: r.attendanceTimestamp, manualOverride: r.manualOverride });
+
+      const scanned     = registrations.filter((r) => scanOf(r));
+      const notScanned  = registrations.filter((r) => !scanOf(r));
+      if (session) scanned.sort((a, b) => scanOf(b).attendedAt - scanOf(a).attendedAt);
+
+      const byTier = {};
+      registrations.filter((r) => r.tierName).forEach((r) => {
+        byTier[r.tierName] = byTier[r.tierName] || { total: 0, present: 0 };
+        byTier[r.tierName].total   += 1;
+        byTier[r.tierName].present += scanOf(r) ? 1 : 0;
+      });
+
+      const attendedSessions = (r) => (event.sessions?.length > 0
+        ? { sessionsAttended: event.sessions.filter((s) => getSessionAttendance(r, s._id)).map((s) => s.title) }
+        : {});
 
       res.json({
         summary: {
+          session:    session ? { sessionId: session._id, title: session.title } : null,
           total:      registrations.length,
           present:    scanned.length,
           absent:     notScanned.length,
-          rate:       registrations.length > 0 ? ((scanned.length / registrations.length) * 100).toFixed(1) + "%" : "0%"
+          rate:       registrations.length > 0 ? ((scanned.length / registrations.length) * 100).toFixed(1) + "%" : "0%",
+          byTier,
+          bySession
         },
         scanned: scanned.map((r) => ({
           participant:         r.participantId,
           ticketId:            r.ticketId,
-          attendanceTimestamp: r.attendanceTimestamp,
-          manualOverride:      r.manualOverride
+          tier:                r.tierName || null,
+          attendanceTimestamp: scanOf(r).attendedAt,
+          manualOverride:      scanOf(r).manualOverride,
+          ...attendedSessions(r)
         })),
         notScanned: notScanned.map((r) => ({
           participant: r.participantId,
-          ticketId:    r.ticketId
+          ticketId:    r.ticketId,
+          tier:        r.tierName || null,
+          ...attendedSessions(r)
         }))
       });
     } catch (err) {
@@ -734,30 +2030,50 @@ router.get(
   }
 );
 
-// Manual Attendance Override (with audit log)
+// Manual Attendance Override (with audit log). With sessionId only that
+// session's attendance changes; event-level attendance follows from the sessions.
 router.put(
   "/:id/attendance/:regId/override",
   authMiddleware,
-  roleMiddleware("organizer"),
+  requireEventPermission("attendance:manage"),
   async (req, res) => {
     try {
       const { attended, reason } = req.body;
       if (typeof attended !== "boolean" || !reason)
         return res.status(400).json({ message: "attended (boolean) and reason are required." });
 
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event     = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
 
       const reg = await Registration.findOne({ _id: req.params.regId, eventId: event._id });
       if (!reg) return res.status(404).json({ message: "Registration not found." });
-
-      reg.attended            = attended;
-      reg.attendanceTimestamp = attended ? new Date() : null;
+      if (reg.isCancelled)
+        return res.status(400).json({ message: "Cannot mark attendance for a cancelled registration." });
+
+      if (req.body.sessionId) {
+        const session = mongoose.isValidObjectId(req.body.sessionId) && event.sessions.id(req.body.sessionId);
+        if (!session) return res.status(404).json({ message: "Session not found." });
+        if (!coversSession(reg, session._id))
+          return res.status(400).json({ message: `This registration is not for "${session.title}".` });
+
+        reg.sessionAttendance = reg.sessionAttendance.filter((a) => a.sessionId.toString() !== session._id.toString());
+        if (attended)
+          reg.sessionAttendance.push({
+            sessionId:      session._id,
+            attendedAt:     new Date(),
+            manualOverride: true,
+            overrideReason: reason,
+            overriddenBy:   req.user.id
+          });
+
+        const firstScan = reg.sessionAttendance.reduce(
+          (earliest, a) => (!earliest || a.attendedAt < earliest ? a.attendedAt : earliest), null
+        );
+        reg.attended            = !!firstScan;
+        reg.attendanceTimestamp = firstScan;
+      } else {
+        reg.attended            = attended;
+        reg.attendanceTimestamp = attended ? new Date() : null;
+      }
       reg.manualOverride      = true;
       reg.overrideReason      = reason;
       reg.overriddenBy        = req.user.id;
@@ -773,19 +2089,13 @@ router.put(
 // Export Attendance as CSV
 router.get(
   "/:id/attendance/export",
-  authMiddleware,
-  roleMiddleware("organizer"),
+  authMiddleware.allowApiKeys,
+  requireEventPermission("attendance:read"),
   async (req, res) => {
     try {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-
-      const event     = await Event.findById(req.params.id);
-      if (!event) return res.status(404).json({ message: "Event not found." });
-      if (event.organizerId.toString() !== organizer._id.toString())
-        return res.status(403).json({ message: "Not authorized." });
+      const { event } = req;
 
-      const registrations = await Registration.find({ eventId: event._id })
+      const registrations = await Registration.find({ eventId: event._id, isCancelled: { $ne: true } })
         .populate("participantId", "firstName lastName email participantType collegeName")
         .lean();
 
@@ -794,10 +2104,17 @@ router.get(
         Email:           reg.participantId.email,
         Type:            reg.participantId.participantType,
         TicketID:        reg.ticketId || "",
+        ...(event.ticketTiers?.length > 0 ? { Tier: reg.tierName || "" } : {}),
         Attendance:      reg.attended ? "Present" : "Absent",
         ScannedAt:       reg.attendanceTimestamp ? new Date(reg.attendanceTimestamp).toLocaleString() : "",
         ManualOverride:  reg.manualOverride ? "Yes" : "No",
-        OverrideReason:  reg.overrideReason || ""
+        OverrideReason:  reg.overrideReason || "",
+        // One column per session: Present / Absent, or blank if not registered for it
+        ...Object.fromEntries((event.sessions || []).map((s) => {
+          if (!coversSession(reg, s._id)) return [`Session: ${s.title}`, ""];
+          const scan = getSessionAttendance(reg, s._id);
+          return [`Session: ${s.title}`, scan ? `Present (${new Date(scan.attendedAt).toLocaleString()})` : "Absent"];
+        }))
       }));
 
       const csv = new Parser().parse(data);
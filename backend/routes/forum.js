@@ -1,29 +1,32 @@
 const express = require("express");
 const Message = require("../models/Message");
 const Registration = require("../models/Registration");
-const Organizer = require("../models/Organiser");
 const Event = require("../models/Event");
 const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
+const { canManageEvent } = require("../utils/clubAccess");
 const { getIo } = require("../socket");
 
 const router = express.Router();
+// Forums are for people - club API keys are turned away
+const forumAuth = [authMiddleware, roleMiddleware("participant", "organizer", "admin")];
 
 const canAccessForum = async (userId, userRole, eventId) => {
   if (userRole === "admin") return true;
   if (userRole === "organizer") {
-    const organizer = await Organizer.findOne({ userId });
-    const event     = await Event.findById(eventId);
-    return event && organizer && event.organizerId.toString() === organizer._id.toString();
+    // Any member of the hosting club
+    return canManageEvent(userId, await Event.findById(eventId));
   }
   if (userRole === "participant") {
-    const reg = await Registration.findOne({ participantId: userId, eventId });
+    const reg = await Registration.findOne({ participantId: userId, eventId, isCancelled: { $ne: true } });
     return !!reg;
   }
   return false;
 };
 
 // GET /api/events/:id/forum
-router.get("/:id/forum", authMiddleware, async (req, res) => {
+router.get("/:id/forum", ...forumAuth, async (req, res) => {
   try {
     const { page = 1, limit = 50, parentId = null } = req.query;
 
@@ -59,7 +62,7 @@ router.get("/:id/forum", authMiddleware, async (req, res) => {
 });
 
 // POST /api/events/:id/forum
-router.post("/:id/forum", authMiddleware, async (req, res) => {
+router.post("/:id/forum", ...forumAuth, rateLimit("forum", "user"), async (req, res) => {
   try {
     const { content, parentId, isAnnouncement = false } = req.body;
 
@@ -70,8 +73,9 @@ router.post("/:id/forum", authMiddleware, async (req, res) => {
     if (!canPost)
       return res.status(403).json({ message: "Only registered participants or the event organizer can post here." });
 
-    // Only organizers can post announcements
-    if (isAnnouncement && req.user.role !== "organizer")
+    // Only club members who moderate the forum can post announcements
+    if (isAnnouncement && !(req.user.role === "organizer" &&
+        await canManageEvent(req.user.id, await Event.findById(req.params.id), "forum:moderate")))
       return res.status(403).json({ message: "Only organizers can post announcements." });
 
     const message = await Message.create({
@@ -79,7 +83,7 @@ router.post("/:id/forum", authMiddleware, async (req, res) => {
       authorId:       req.user.id,
       content:        content.trim(),
       parentId:       parentId || null,
-      isAnnouncement: isAnnouncement && req.user.role === "organizer"
+      isAnnouncement: !!isAnnouncement
     });
 
     const populated = await Message.findById(message._id)
@@ -97,21 +101,16 @@ router.post("/:id/forum", authMiddleware, async (req, res) => {
 });
 
 // DELETE /api/events/:id/forum/:messageId
-router.delete("/:id/forum/:messageId", authMiddleware, async (req, res) => {
+router.delete("/:id/forum/:messageId", ...forumAuth, async (req, res) => {
   try {
     const msg = await Message.findById(req.params.messageId);
     if (!msg || msg.eventId.toString() !== req.params.id)
       return res.status(404).json({ message: "Message not found." });
 
-    // Organizer can delete any message; author can delete their own
-    let canDelete = false;
-    if (req.user.role === "organizer") {
-      const organizer = await Organizer.findOne({ userId: req.user.id });
-      const event     = await Event.findById(req.params.id);
-      canDelete = !!(event && organizer && event.organizerId.toString() === organizer._id.toString());
-    } else if (msg.authorId.toString() === req.user.id) {
-      canDelete = true;
-    }
+    // Club moderators can delete any message; authors can delete their own
+    let canDelete = msg.authorId.toString() === req.user.id;
+    if (!canDelete && req.user.role === "organizer")
+      canDelete = await canManageEvent(req.user.id, await Event.findById(req.params.id), "forum:moderate");
 
     if (!canDelete)
       return res.status(403).json({ message: "Not authorized to delete this message." });
@@ -130,14 +129,13 @@ router.delete("/:id/forum/:messageId", authMiddleware, async (req, res) => {
 });
 
 // PUT /api/events/:id/forum/:messageId/pin
-router.put("/:id/forum/:messageId/pin", authMiddleware, async (req, res) => {
+router.put("/:id/forum/:messageId/pin", ...forumAuth, async (req, res) => {
   try {
     if (req.user.role !== "organizer")
       return res.status(403).json({ message: "Only organizers can pin messages." });
 
-    const organizer = await Organizer.findOne({ userId: req.user.id });
-    const event     = await Event.findById(req.params.id);
-    if (!event || !organizer || event.organizerId.toString() !== organizer._id.toString())
+    const event = await Event.findById(req.params.id);
+    if (!await canManageEvent(req.user.id, event, "forum:moderate"))
       return res.status(403).json({ message: "Not your event." });
 
     const msg = await Message.findById(req.params.messageId);
@@ -159,7 +157,7 @@ router.put("/:id/forum/:messageId/pin", authMiddleware, async (req, res) => {
 });
 
 // POST /api/events/:id/forum/:messageId/react
-router.post("/:id/forum/:messageId/react", authMiddleware, async (req, res) => {
+router.post("/:id/forum/:messageId/react", ...forumAuth, rateLimit("forum", "user"), async (req, res) => {
   try {
     const { emoji } = req.body;
     if (!emoji) return res.status(400).json({ message: "emoji is required." });
@@ -1,31 +1,42 @@
 const express = require("express");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
 const Organizer = require("../models/Organiser");
+const OrganizerMember = require("../models/OrganizerMember");
+const ApiKey = require("../models/ApiKey");
+const ApiKeyUsage = require("../models/ApiKeyUsage");
 const Event = require("../models/Event");
 const Registration = require("../models/Registration");
 const PasswordResetRequest = require("../models/PasswordResetRequest");
+const Coupon = require("../models/Coupon");
+const EventTemplate = require("../models/EventTemplate");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { requireClubPermission, hasClubPermission, ROLE_PERMISSIONS } = require("../utils/clubAccess");
+const { getRegistrationRevenue } = require("../utils/pricingService");
+const { revokeUserSessions } = require("../utils/sessionService");
+const { generateApiKey } = require("../utils/apiKeyService");
+const { TEMPLATE_FIELDS, copyEventSetup } = require("../utils/eventTemplates");
 
 const router = express.Router();
 const guard = [authMiddleware, roleMiddleware("organizer")];
 
-router.get("/profile", ...guard, async (req, res) => {
+router.get("/profile", ...guard, requireClubPermission(), async (req, res) => {
   try {
-    const organizer = await Organizer.findOne({ userId: req.user.id });
-    if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
-    res.json({ organizer });
+    const { organizer } = req;
+    res.json({ organizer, role: req.clubRole, permissions: ROLE_PERMISSIONS[req.clubRole] });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Login email is non-editable; all other fields can be updated
-router.put("/profile", ...guard, async (req, res) => {
+router.put("/profile", ...guard, requireClubPermission("club:manage"), async (req, res) => {
   try {
     const { organizerName, category, description, contactEmail, contactNumber, discordWebhookUrl } = req.body;
 
-    const organizer = await Organizer.findOne({ userId: req.user.id });
-    if (!organizer) return res.status(404).json({ message: "Organizer profile not found." });
+    const { organizer } = req;
 
     if (organizerName)     organizer.organizerName     = organizerName;
     if (category)          organizer.category          = category;
@@ -41,9 +52,9 @@ router.put("/profile", ...guard, async (req, res) => {
   }
 });
 
-router.post("/profile/test-discord", ...guard, async (req, res) => {
+router.post("/profile/test-discord", ...guard, requireClubPermission("club:manage"), async (req, res) => {
   try {
-    const organizer = await Organizer.findOne({ userId: req.user.id });
+    const { organizer } = req;
     if (!organizer?.discordWebhookUrl)
       return res.status(400).json({ message: "No Discord webhook URL configured." });
 
@@ -59,13 +70,16 @@ router.post("/profile/test-discord", ...guard, async (req, res) => {
   }
 });
 
-router.get("/dashboard", ...guard, async (req, res) => {
+// Also open to API keys with the events:read scope
+router.get("/dashboard", authMiddleware.allowApiKeys, requireClubPermission("events:read"), async (req, res) => {
   try {
-    const organizer = await Organizer.findOne({ userId: req.user.id });
-    if (!organizer) return res.status(404).json({ message: "Organizer not found." });
+    const { organizer } = req;
 
     const events = await Event.find({ organizerId: organizer._id })
       .sort({ createdAt: -1 });
+    const templates = await EventTemplate.find({ organizerId: organizer._id })
+      .select("name type updatedAt")
+      .sort({ name: 1 });
 
     // For completed events, compute analytics
     const completedEvents = events.filter(
@@ -77,17 +91,12 @@ router.get("/dashboard", ...guard, async (req, res) => {
     let totalAttendance    = 0;
 
     for (const ev of completedEvents) {
-      const regs = await Registration.find({ eventId: ev._id });
+      const regs = await Registration.find({ eventId: ev._id, isCancelled: { $ne: true } });
       totalRegistrations += regs.length;
       totalAttendance    += regs.filter((r) => r.attended).length;
 
-      if (ev.type === "normal") {
-        totalRevenue += regs.length * (ev.registrationFee || 0);
-      } else {
-        for (const reg of regs) {
-          const variant = ev.merchandiseVariants.id(reg.variantId);
-          if (variant) totalRevenue += reg.quantity * variant.price;
-        }
+      for (const reg of regs) {
+        totalRevenue += getRegistrationRevenue(ev, reg);
       }
     }
 
@@ -103,7 +112,8 @@ router.get("/dashboard", ...guard, async (req, res) => {
       aggregateAnalytics: {
         totalRegistrations,
         totalAttendance,
-        totalRevenue
+        // Money figures are for members who can read analytics
+        ...(hasClubPermission(req.clubRole, "analytics:read") ? { totalRevenue } : {})
       },
       events: events.map((e) => ({
         id:             e._id,
@@ -112,6 +122,12 @@ router.get("/dashboard", ...guard, async (req, res) => {
         statusOverride: e.statusOverride,
         startDate:      e.startDate,
         endDate:        e.endDate
+      })),
+      templates: templates.map((t) => ({
+        id:        t._id,
+        name:      t.name,
+        type:      t.type,
+        updatedAt: t.updatedAt
       }))
     });
   } catch (err) {
@@ -119,13 +135,12 @@ router.get("/dashboard", ...guard, async (req, res) => {
   }
 });
 
-router.post("/password-reset-request", ...guard, async (req, res) => {
+router.post("/password-reset-request", ...guard, requireClubPermission("club:manage"), async (req, res) => {
   try {
     const { reason } = req.body;
     if (!reason) return res.status(400).json({ message: "Reason is required." });
 
-    const organizer = await Organizer.findOne({ userId: req.user.id });
-    if (!organizer) return res.status(404).json({ message: "Organizer not found." });
+    const { organizer } = req;
 
     // Block if already has a Pending request
     const existing = await PasswordResetRequest.findOne({
@@ -150,10 +165,9 @@ router.post("/password-reset-request", ...guard, async (req, res) => {
   }
 });
 
-router.get("/password-reset-requests", ...guard, async (req, res) => {
+router.get("/password-reset-requests", ...guard, requireClubPermission("club:manage"), async (req, res) => {
   try {
-    const organizer = await Organizer.findOne({ userId: req.user.id });
-    if (!organizer) return res.status(404).json({ message: "Organizer not found." });
+    const { organizer } = req;
 
     const requests = await PasswordResetRequest.find({ organizerId: organizer._id })
       .sort({ createdAt: -1 });
@@ -164,4 +178,436 @@ router.get("/password-reset-requests", ...guard, async (req, res) => {
   }
 });
 
+// Coupon fields an organizer may set; code and scope are handled separately
+const COUPON_FIELDS = [
+  "description", "discountType", "discountValue", "appliesTo", "eligibility",
+  "minOrderAmount", "validFrom", "validUntil", "maxUses", "perUserLimit", "isActive"
+];
+
+router.get("/coupons", ...guard, requireClubPermission("coupons:manage"), async (req, res) => {
+  try {
+    const { organizer } = req;
+
+    const coupons = await Coupon.find({ organizerId: organizer._id })
+      .populate("eventId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({ count: coupons.length, coupons });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post("/coupons", ...guard, requireClubPermission("coupons:manage"), async (req, res) => {
+  try {
+    const { eventId } = req.body;
+    // Codes are matched trimmed and case-insensitively (see utils/pricingService)
+    const code = typeof req.body.code === "string" ? req.body.code.trim().toUpperCase() : "";
+    if (!code || !req.body.discountType || req.body.discountValue === undefined)
+      return res.status(400).json({ message: "code, discountType and discountValue are required." });
+
+    const { organizer } = req;
+
+    // Scoped coupons must point at one of this club's events
+    if (eventId) {
+      const event = mongoose.isValidObjectId(eventId) && await Event.findOne({ _id: eventId, organizerId: organizer._id });
+      if (!event) return res.status(404).json({ message: "Event not found." });
+    }
+
+    const existing = await Coupon.findOne({ organizerId: organizer._id, code });
+    if (existing) return res.status(400).json({ message: "A coupon with this code already exists." });
+
+    const fields = {};
+    for (const key of COUPON_FIELDS) {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+    }
+
+    const coupon = await Coupon.create({
+      ...fields,
+      code,
+      organizerId: organizer._id,
+      eventId:     eventId || null
+    });
+
+    res.status(201).json({ message: "Coupon created.", coupon });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    if (err.code === 11000) return res.status(400).json({ message: "A coupon with this code already exists." });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put("/coupons/:couponId", ...guard, requireClubPermission("coupons:manage"), async (req, res) => {
+  try {
+    const { organizer } = req;
+
+    const coupon = await Coupon.findOne({ _id: req.params.couponId, organizerId: organizer._id });
+    if (!coupon) return res.status(404).json({ message: "Coupon not found." });
+
+    for (const key of COUPON_FIELDS) {
+      if (req.body[key] !== undefined) coupon[key] = req.body[key];
+    }
+
+    await coupon.save();
+    res.json({ message: "Saved.", coupon });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Used coupons are only deactivated so past registrations keep their reference
+router.delete("/coupons/:couponId", ...guard, requireClubPermission("coupons:manage"), async (req, res) => {
+  try {
+    const { organizer } = req;
+
+    const coupon = await Coupon.findOne({ _id: req.params.couponId, organizerId: organizer._id });
+    if (!coupon) return res.status(404).json({ message: "Coupon not found." });
+
+    const used = await Registration.exists({ couponId: coupon._id });
+    if (used) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ message: "Coupon has been used, so it was deactivated instead of deleted.", coupon });
+    }
+
+    await Coupon.findByIdAndDelete(coupon._id);
+    res.json({ message: "Coupon deleted." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const MEMBER_ROLES = ["editor", "finance", "scanner", "moderator"];
+
+// Event templates - reusable setups shared by all of the club's events
+router.get("/templates", ...guard, requireClubPermission("events:read"), async (req, res) => {
+  try {
+    const { organizer } = req;
+
+    const templates = await EventTemplate.find({ organizerId: organizer._id })
+      .sort({ name: 1 });
+
+    res.json({ count: templates.length, templates });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post("/templates", ...guard, requireClubPermission("events:write"), async (req, res) => {
+  try {
+    const { name, type } = req.body;
+    if (!name || !type) return res.status(400).json({ message: "name and type are required." });
+
+    const { organizer } = req;
+
+    const existing = await EventTemplate.findOne({ organizerId: organizer._id, name: name.trim() });
+    if (existing) return res.status(400).json({ message: "A template with this name already exists." });
+
+    const template = await EventTemplate.create({
+      ...copyEventSetup(req.body),
+      name:        name.trim(),
+      organizerId: organizer._id,
+      createdBy:   req.user.id
+    });
+
+    res.status(201).json({ message: "Template created.", template });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save an existing event's setup as a template. Ticket sale windows are
+// dropped since they belong to that event's dates.
+router.post("/templates/from-event/:eventId", ...guard, requireClubPermission("events:write"), async (req, res) => {
+  try {
+    const { organizer } = req;
+
+    const event = await Event.findOne({ _id: req.params.eventId, organizerId: organizer._id });
+    if (!event) return res.status(404).json({ message: "Event not found." });
+
+    const name = (req.body.name || event.name).trim();
+    const existing = await EventTemplate.findOne({ organizerId: organizer._id, name });
+    if (existing) return res.status(400).json({ message: "A template with this name already exists." });
+
+    const setup = copyEventSetup(event);
+    setup.ticketTiers = (setup.ticketTiers || []).map(({ salesStart, salesEnd, ...tier }) => tier);
+
+    const template = await EventTemplate.create({
+      ...setup,
+      name,
+      organizerId: organizer._id,
+      createdBy:   req.user.id
+    });
+
+    res.status(201).json({ message: "Template created.", template });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put("/templates/:templateId", ...guard, requireClubPermission("events:write"), async (req, res) => {
+  try {
+    const { organizer } = req;
+
+    const template = await EventTemplate.findOne({ _id: req.params.templateId, organizerId: organizer._id });
+    if (!template) return res.status(404).json({ message: "Template not found." });
+
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name).trim();
+      const clash = await EventTemplate.findOne({
+        organizerId: organizer._id,
+        name,
+        _id:         { $ne: template._id }
+      });
+      if (clash) return res.status(400).json({ message: "A template with this name already exists." });
+      template.name = name;
+    }
+
+    for (const key of TEMPLATE_FIELDS) {
+      if (req.body[key] !== undefined) template[key] = req.body[key];
+    }
+
+    await template.save();
+    res.json({ message: "Saved.", template });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Events created from a template keep their own copy, so deleting it is always safe
+router.delete("/templates/:templateId", ...guard, requireClubPermission("events:write"), async (req, res) => {
+  try {
+    const { organizer } = req;
+
+    const template = await EventTemplate.findOneAndDelete({
+      _id:         req.params.templateId,
+      organizerId: organizer._id
+    });
+    if (!template) return res.status(404).json({ message: "Template not found." });
+
+    res.json({ message: "Template deleted." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Club team - the club account (owner) plus member accounts
+router.get("/members", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const { organizer } = req;
+    const owner = await User.findById(organizer.userId).select("firstName lastName email");
+    const members = await OrganizerMember.find({ organizerId: organizer._id })
+      .populate("userId", "firstName lastName email isActive")
+      .sort({ createdAt: 1 });
+
+    res.json({
+      owner,
+      members: members.map((m) => ({
+        id:      m._id,
+        role:    m.role,
+        user:    m.userId,
+        addedAt: m.createdAt
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a member account - the generated password is returned once, like club credentials
+router.post("/members", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const { firstName, lastName, email, role } = req.body;
+    if (!firstName || !lastName || !email || !role)
+      return res.status(400).json({ message: "firstName, lastName, email and role are required." });
+    if (!MEMBER_ROLES.includes(role))
+      return res.status(400).json({ message: `role must be one of: ${MEMBER_ROLES.join(", ")}.` });
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) return res.status(400).json({ message: "This email is already registered." });
+
+    const generatedPassword = crypto.randomBytes(6).toString("hex");
+
+    const user = await User.create({
+      firstName,
+      lastName,
+      email,
+      password: generatedPassword,
+      role:     "organizer",
+      isActive: true
+    });
+
+    let member;
+    try {
+      member = await OrganizerMember.create({
+        organizerId: req.organizer._id,
+        userId:      user._id,
+        role,
+        addedBy:     req.user.id
+      });
+    } catch (err) {
+      await User.findByIdAndDelete(user._id);
+      throw err;
+    }
+
+    res.status(201).json({
+      message: "Member added.",
+      member: { id: member._id, role: member.role, user: { _id: user._id, firstName, lastName, email: user.email } },
+      credentials: {
+        email:    user.email,
+        password: generatedPassword  // Returned ONCE - not stored in plaintext
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put("/members/:memberId", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!MEMBER_ROLES.includes(role))
+      return res.status(400).json({ message: `role must be one of: ${MEMBER_ROLES.join(", ")}.` });
+
+    const member = await OrganizerMember.findOne({ _id: req.params.memberId, organizerId: req.organizer._id });
+    if (!member) return res.status(404).json({ message: "Member not found." });
+
+    member.role = role;
+    await member.save();
+
+    res.json({ message: "Saved.", member });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Removing a member deletes their account - it only ever existed for this club
+router.delete("/members/:memberId", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const member = await OrganizerMember.findOne({ _id: req.params.memberId, organizerId: req.organizer._id });
+    if (!member) return res.status(404).json({ message: "Member not found." });
+
+    await OrganizerMember.findByIdAndDelete(member._id);
+    await User.findByIdAndDelete(member.userId);
+    await revokeUserSessions(member.userId, "member-removed");
+
+    res.json({ message: "Member removed." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const API_KEY_SCOPES = ["events:read", "registrations:read", "attendance:scan"];
+
+const serializeApiKey = (k) => ({
+  id:         k._id,
+  name:       k.name,
+  prefix:     k.prefix,
+  scopes:     k.scopes,
+  expiresAt:  k.expiresAt || null,
+  lastUsedAt: k.lastUsedAt || null,
+  lastUsedIp: k.lastUsedIp || null,
+  revokedAt:  k.revokedAt || null,
+  createdAt:  k.createdAt
+});
+
+router.get("/api-keys", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ organizerId: req.organizer._id }).sort({ createdAt: -1 });
+    res.json({ count: keys.length, apiKeys: keys.map(serializeApiKey) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a key - body: name, scopes[], optional expiresAt. The key itself is only shown here.
+router.post("/api-keys", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    if (!name || !Array.isArray(scopes) || scopes.length === 0)
+      return res.status(400).json({ message: "name and at least one scope are required." });
+    const unknown = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+    if (unknown.length > 0)
+      return res.status(400).json({ message: `Unknown scope(s): ${unknown.join(", ")}. Allowed: ${API_KEY_SCOPES.join(", ")}.` });
+    if (expiresAt && !(new Date(expiresAt) > new Date()))
+      return res.status(400).json({ message: "expiresAt must be a future date." });
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      organizerId: req.organizer._id,
+      name,
+      prefix,
+      keyHash,
+      scopes:      [...new Set(scopes)],
+      expiresAt:   expiresAt || undefined,
+      createdBy:   req.user.id
+    });
+
+    res.status(201).json({
+      message: "API key created. Copy it now - it won't be shown again.",
+      key,
+      apiKey: serializeApiKey(apiKey)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoked keys stay listed so their usage history remains readable
+router.delete("/api-keys/:keyId", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.keyId) &&
+      await ApiKey.findOne({ _id: req.params.keyId, organizerId: req.organizer._id });
+    if (!apiKey) return res.status(404).json({ message: "API key not found." });
+    if (apiKey.revokedAt) return res.status(400).json({ message: "API key is already revoked." });
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({ message: "API key revoked.", apiKey: serializeApiKey(apiKey) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Request log for one key, newest first
+router.get("/api-keys/:keyId/usage", ...guard, requireClubPermission("club:manage"), async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.keyId) &&
+      await ApiKey.findOne({ _id: req.params.keyId, organizerId: req.organizer._id });
+    if (!apiKey) return res.status(404).json({ message: "API key not found." });
+
+    const page  = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [total, usage] = await Promise.all([
+      ApiKeyUsage.countDocuments({ apiKeyId: apiKey._id }),
+      ApiKeyUsage.find({ apiKeyId: apiKey._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ]);
+
+    res.json({
+      apiKey: serializeApiKey(apiKey),
+      total,
+      page,
+      usage: usage.map((u) => ({
+        at:         u.createdAt,
+        method:     u.method,
+        path:       u.path,
+        statusCode: u.statusCode,
+        ip:         u.ip,
+        userAgent:  u.userAgent
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
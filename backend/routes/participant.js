@@ -3,6 +3,7 @@ const User = require("../models/User");
 const Organizer = require("../models/Organiser");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { createSession, revokeUserSessions } = require("../utils/sessionService");
 
 const router = express.Router();
 const guard = [authMiddleware, roleMiddleware("participant")];
@@ -56,7 +57,12 @@ router.put("/change-password", ...guard, async (req, res) => {
 
     user.password = newPassword;
     await user.save();
-    res.json({ message: "Password changed." });
+
+    // Every session (this one included) ends; the caller gets a fresh one
+    await revokeUserSessions(user._id, "password-change");
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    res.json({ message: "Password changed.", token: accessToken, refreshToken });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -0,0 +1,108 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const Registration = require("../models/Registration");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { getProvider } = require("../utils/payments");
+const { gatewayUnavailable, createPaymentIntent, paymentSummary, handleWebhook } = require("../utils/paymentService");
+
+const router = express.Router();
+const guard = [authMiddleware, roleMiddleware("participant")];
+
+// Provider callback - no auth, the HMAC signature over the raw body is the proof
+router.post("/webhook/:provider", async (req, res) => {
+  try {
+    const { status, message } = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+    res.status(status).json({ message });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pay (or retry paying) for a Pending registration / order - returns the checkout link
+router.post("/registrations/:regId", ...guard, async (req, res) => {
+  try {
+    const reg = mongoose.isValidObjectId(req.params.regId) && await Registration.findOne({
+      _id:           req.params.regId,
+      participantId: req.user.id
+    });
+    if (!reg || reg.isCancelled) return res.status(404).json({ message: "Registration not found." });
+    if (reg.paymentStatus !== "Pending")
+      return res.status(400).json({ message: "Only Pending registrations can be paid for." });
+    if (reg.reservationExpiresAt && reg.reservationExpiresAt < new Date())
+      return res.status(400).json({ message: "Your reservation has expired. Please register again." });
+
+    const event = await Event.findById(reg.eventId);
+    if (!event || event.paymentMode !== "gateway")
+      return res.status(400).json({ message: "This event does not take payment online." });
+    if (gatewayUnavailable(event))
+      return res.status(503).json({ message: "Online payment is not available right now." });
+
+    const participant = await User.findById(req.user.id);
+    const payment = await createPaymentIntent(reg, event, participant);
+
+    res.status(201).json({ payment: paymentSummary(payment), reservationExpiresAt: reg.reservationExpiresAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Payments made for one of the participant's registrations, newest first
+router.get("/registrations/:regId", ...guard, async (req, res) => {
+  try {
+    const payments = mongoose.isValidObjectId(req.params.regId)
+      ? await Payment.find({ registrationId: req.params.regId, participantId: req.user.id }).sort({ createdAt: -1 })
+      : [];
+
+    res.json({
+      payments: payments.map((p) => ({
+        ...paymentSummary(p),
+        failureReason: p.failureReason || null,
+        paidAt:        p.paidAt || null,
+        createdAt:     p.createdAt
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mock gateway checkout - body: outcome "succeeded" | "failed". Sends the mock
+// provider's signed callback through the same handling as a real webhook.
+// Only exists when the mock provider is (see utils/payments).
+if (getProvider("mock")) router.post("/mock/:paymentId/complete", ...guard, async (req, res) => {
+  try {
+    const { outcome = "succeeded" } = req.body;
+    if (!["succeeded", "failed"].includes(outcome))
+      return res.status(400).json({ message: "outcome must be succeeded or failed." });
+
+    const payment = mongoose.isValidObjectId(req.params.paymentId) && await Payment.findOne({
+      _id:           req.params.paymentId,
+      participantId: req.user.id,
+      provider:      "mock"
+    });
+    if (!payment) return res.status(404).json({ message: "Payment not found." });
+    if (payment.status !== "Created")
+      return res.status(400).json({ message: `Payment is already ${payment.status}.` });
+
+    const { rawBody, headers } = getProvider("mock")
+      .buildWebhook(payment.providerRef, outcome, "Card declined (mock).");
+    const { status, message } = await handleWebhook("mock", Buffer.from(rawBody), headers);
+
+    const updated = await Payment.findById(payment._id);
+    const reg     = await Registration.findById(payment.registrationId).select("paymentStatus ticketId");
+    res.status(status).json({
+      message,
+      payment:       paymentSummary(updated),
+      paymentStatus: reg?.paymentStatus,
+      ticketId:      reg?.ticketId || null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,135 @@
+const express = require("express");
+const crypto = require("crypto");
+const path = require("path");
+const mongoose = require("mongoose");
+const Upload = require("../models/Upload");
+const Event = require("../models/Event");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const uploadMiddleware = require("../middleware/uploadMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
+const { getStorage, deleteUploads } = require("../utils/storageService");
+const { canManageEvent } = require("../utils/clubAccess");
+
+const router = express.Router();
+
+const EXTENSIONS = {
+  "image/png":       ".png",
+  "image/jpeg":      ".jpg",
+  "image/webp":      ".webp",
+  "application/pdf": ".pdf"
+};
+
+// The uploader picked the name - quote an ASCII-only copy, and give the real
+// one RFC 5987 encoded for clients that understand filename*
+const contentDisposition = (name) => {
+  const fallback = name.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "");
+  const encoded  = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Upload a file (participant) - multipart with "file", plus eventId, purpose and fieldLabel.
+// The returned id is then used as a payment proof or as the answer to a "file" form field.
+router.post(
+  "/",
+  authMiddleware,
+  roleMiddleware("participant"),
+  rateLimit("upload", "user"),
+  uploadMiddleware("file"),
+  async (req, res) => {
+    try {
+      const { eventId, purpose, fieldLabel } = req.body;
+      if (!mongoose.isValidObjectId(eventId))
+        return res.status(400).json({ message: "A valid eventId is required." });
+      if (!["payment-proof", "form-field"].includes(purpose))
+        return res.status(400).json({ message: "purpose must be payment-proof or form-field." });
+
+      const event = await Event.findById(eventId);
+      if (!event) return res.status(404).json({ message: "Event not found." });
+
+      if (purpose === "payment-proof" && event.type !== "merchandise")
+        return res.status(400).json({ message: "Payment proofs are only accepted for merchandise events." });
+      if (purpose === "form-field") {
+        const field = event.customForm.find((f) => f.label === fieldLabel && f.fieldType === "file");
+        if (!field) return res.status(400).json({ message: "This event has no file field with that label." });
+      }
+
+      const storageKey = `${event._id}/${crypto.randomUUID()}${EXTENSIONS[req.file.mimetype]}`;
+      await getStorage().save(storageKey, req.file.buffer);
+
+      const upload = await Upload.create({
+        ownerId:      req.user.id,
+        eventId:      event._id,
+        purpose,
+        fieldLabel:   purpose === "form-field" ? fieldLabel : undefined,
+        storageKey,
+        originalName: path.basename(req.file.originalname),
+        mimeType:     req.file.mimetype,
+        size:         req.file.size
+      });
+
+      res.status(201).json({
+        message: "File uploaded.",
+        upload: {
+          id:           upload._id,
+          originalName: upload.originalName,
+          mimeType:     upload.mimeType,
+          size:         upload.size,
+          url:          `/api/uploads/${upload._id}`
+        }
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Download a file - only the uploader, club members who handle it, and admins
+router.get("/:uploadId", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.uploadId))
+      return res.status(404).json({ message: "File not found." });
+
+    const upload = await Upload.findById(req.params.uploadId);
+    if (!upload) return res.status(404).json({ message: "File not found." });
+
+    let canRead = req.user.role === "admin" || upload.ownerId.toString() === req.user.id;
+    if (!canRead && req.user.role === "organizer") {
+      const permission = upload.purpose === "payment-proof" ? "orders:manage" : "registrations:read";
+      canRead = await canManageEvent(req.user.id, await Event.findById(upload.eventId), permission);
+    }
+    if (!canRead) return res.status(403).json({ message: "Not authorized to view this file." });
+
+    const stream = getStorage().createReadStream(upload.storageKey);
+    stream.on("error", () => {
+      if (!res.headersSent) res.status(404).json({ message: "File not found." });
+    });
+
+    res.header("Content-Type", upload.mimeType);
+    res.header("Content-Disposition", contentDisposition(upload.originalName));
+    res.header("X-Content-Type-Options", "nosniff");
+    stream.pipe(res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Discard an upload that hasn't been used yet (participant)
+router.delete("/:uploadId", authMiddleware, roleMiddleware("participant"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.uploadId))
+      return res.status(404).json({ message: "File not found." });
+
+    const upload = await Upload.findOne({ _id: req.params.uploadId, ownerId: req.user.id });
+    if (!upload) return res.status(404).json({ message: "File not found." });
+    if (upload.registrationId || upload.waitlistEntryId)
+      return res.status(400).json({ message: "This file is attached to a registration and cannot be deleted." });
+
+    await deleteUploads({ _id: upload._id });
+    res.json({ message: "File deleted." });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
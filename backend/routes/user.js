@@ -1,5 +1,8 @@
 const express = require("express");
 const Registration = require("../models/Registration");
+const Event = require("../models/Event");
+const { getFulfilmentStatus, getPickupLines } = require("../utils/pickupService");
+const { RECEIPT_PENDING, generateReceipt } = require("../utils/receiptService");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
 
@@ -12,9 +15,10 @@ router.get("/me/events", authMiddleware, roleMiddleware("participant"), async (r
     const registrations = await Registration.find({ participantId })
       .populate({
         path:   "eventId",
-        select: "name type startDate endDate statusOverride organizerId registrationFee",
+        select: "name type startDate endDate statusOverride organizerId registrationFee merchandiseVariants",
         populate: { path: "organizerId", select: "organizerName category" }
       })
+      .populate("teamId", "name")
       .sort({ createdAt: -1 });
 
     const dashboard = {
@@ -44,15 +48,28 @@ router.get("/me/events", authMiddleware, roleMiddleware("participant"), async (r
         eventType:        event.type,
         organizerName:    event.organizerId?.organizerName || "Unknown",
         schedule:         { start: event.startDate, end: event.endDate },
-        participationStatus: reg.paymentStatus === "Rejected"
+        participationStatus: reg.isCancelled
+          ? "Cancelled"
+          : reg.paymentStatus === "Rejected"
           ? "Rejected"
           : reg.attended
           ? "Attended"
           : "Registered",
-        paymentStatus: reg.paymentStatus
+        paymentStatus: reg.paymentStatus,
+        cancelledAt:   reg.cancelledAt,
+        team:          reg.teamId?.name || null,
+        tier:          reg.tierName || null,
+        invoiceNumber: reg.receipt?.invoiceNumber || null,
+        pickup:        event.type === "merchandise" && getFulfilmentStatus(reg)
+          ? {
+              status:      getFulfilmentStatus(reg),
+              items:       getPickupLines(reg, event),
+              collectedAt: reg.collectedAt || null
+            }
+          : null
       };
 
-      if (reg.paymentStatus === "Rejected" || isCancelled) {
+      if (reg.isCancelled || reg.paymentStatus === "Rejected" || isCancelled) {
         dashboard.history.cancelledRejected.push(record);
       } else if (isCompleted || reg.attended) {
         dashboard.history.completed.push(record);
@@ -69,4 +86,28 @@ router.get("/me/events", authMiddleware, roleMiddleware("participant"), async (r
   }
 });
 
+// Download the PDF receipt for one of my paid registrations / orders
+router.get("/me/registrations/:regId/receipt", authMiddleware, roleMiddleware("participant"), async (req, res) => {
+  try {
+    const reg = await Registration.findOne({ _id: req.params.regId, participantId: req.user.id });
+    if (!reg) return res.status(404).json({ message: "Registration not found." });
+
+    const event = await Event.findById(reg.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found." });
+
+    const receipt = await generateReceipt(reg, event);
+    if (!receipt) return res.status(404).json({ message: "No receipt - nothing has been paid for this registration." });
+    if (receipt === RECEIPT_PENDING) {
+      res.header("Retry-After", "5");
+      return res.status(503).json({ message: "The receipt is still being issued. Please try again shortly." });
+    }
+
+    res.header("Content-Type", "application/pdf");
+    res.attachment(receipt.filename);
+    return res.send(receipt.content);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
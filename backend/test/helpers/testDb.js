@@ -0,0 +1,37 @@
+// Database for tests that need MongoDB: MONGO_URI_TEST if set (that database
+// is dropped afterwards), otherwise a throwaway mongodb-memory-server. With
+// neither available the suites fail rather than pass without running -
+// SKIP_DB_TESTS=1 skips them on purpose.
+const mongoose = require("mongoose");
+
+const skipDbTests = process.env.SKIP_DB_TESTS ? "SKIP_DB_TESTS is set" : false;
+
+let memoryServer = null;
+
+const connectTestDb = async () => {
+  let uri = process.env.MONGO_URI_TEST;
+  if (!uri) {
+    try {
+      const { MongoMemoryServer } = require("mongodb-memory-server");
+      memoryServer = await MongoMemoryServer.create();
+    } catch (err) {
+      throw new Error(`No test database (${err.message}). Set MONGO_URI_TEST, or SKIP_DB_TESTS=1 to skip.`);
+    }
+    uri = memoryServer.getUri();
+  }
+  await mongoose.connect(uri);
+};
+
+const disconnectTestDb = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (memoryServer) await memoryServer.stop();
+  memoryServer = null;
+};
+
+// Hook timeout - the first memory-server start downloads a mongod binary
+const DB_HOOK_TIMEOUT = 5 * 60 * 1000;
+
+module.exports = { skipDbTests, connectTestDb, disconnectTestDb, DB_HOOK_TIMEOUT };
\ No newline at end of file
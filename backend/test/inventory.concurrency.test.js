@@ -0,0 +1,141 @@
+// Fires many orders at one variant at once and checks stock never goes below
+// zero and always equals the initial stock minus what was actually sold.
+// Needs MongoDB - see helpers/testDb.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const Event = require("../models/Event");
+const User = require("../models/User");
+const Registration = require("../models/Registration");
+const { reserveItems } = require("../utils/inventoryService");
+const { createSession } = require("../utils/sessionService");
+const eventRoutes = require("../routes/event");
+const { skipDbTests, connectTestDb, disconnectTestDb, DB_HOOK_TIMEOUT } = require("./helpers/testDb");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createMerchEvent = (variants) =>
+  Event.create({
+    name:                 "Concurrency Tee",
+    description:          "Stock harness",
+    type:                 "merchandise",
+    organizerId:          new mongoose.Types.ObjectId(),
+    eligibility:          "all",
+    registrationDeadline: new Date(Date.now() + DAY_MS),
+    startDate:            new Date(Date.now() + 2 * DAY_MS),
+    endDate:              new Date(Date.now() + 3 * DAY_MS),
+    statusOverride:       "Published",
+    merchandiseVariants:  variants,
+    purchaseLimitPerUser: 10,
+    // Orders stay Pending, so no ticket email is sent
+    requiresPaymentApproval: true
+  });
+
+const stockOf = async (eventId) => {
+  const event = await Event.findById(eventId);
+  return new Map(event.merchandiseVariants.map((v) => [v._id.toString(), v.stock]));
+};
+
+describe("merchandise stock under concurrent orders", { skip: skipDbTests }, () => {
+  before(async () => {
+    await connectTestDb();
+    await Registration.init();
+  }, { timeout: DB_HOOK_TIMEOUT });
+
+  after(disconnectTestDb);
+
+  it("reserves exactly the available units when 50 single-unit orders race", async () => {
+    const event = await createMerchEvent([{ size: "M", stock: 10, price: 300 }]);
+    const variantId = event.merchandiseVariants[0]._id;
+
+    const results = await Promise.all(
+      Array.from({ length: 50 }, () => reserveItems(event._id, [{ variantId, quantity: 1 }]))
+    );
+
+    const reserved = results.filter((short) => short === null).length;
+    assert.equal(reserved, 10);
+    assert.equal((await stockOf(event._id)).get(variantId.toString()), 0);
+  });
+
+  it("keeps every variant consistent for racing multi-line carts", async () => {
+    const initial = { M: 25, L: 15 };
+    const event = await createMerchEvent([
+      { size: "M", stock: initial.M, price: 300 },
+      { size: "L", stock: initial.L, price: 300 }
+    ]);
+    const [m, l] = event.merchandiseVariants;
+
+    // Quantities 1-3 per line, so some carts fail on one line after taking the other
+    const carts = Array.from({ length: 40 }, (_, i) => [
+      { variantId: m._id, quantity: (i % 3) + 1 },
+      { variantId: l._id, quantity: ((i + 1) % 3) + 1 }
+    ]);
+    const results = await Promise.all(carts.map((items) => reserveItems(event._id, items)));
+
+    const sold = { M: 0, L: 0 };
+    carts.forEach((items, i) => {
+      if (results[i] !== null) return;
+      sold.M += items[0].quantity;
+      sold.L += items[1].quantity;
+    });
+
+    const stock = await stockOf(event._id);
+    assert.ok(stock.get(m._id.toString()) >= 0);
+    assert.ok(stock.get(l._id.toString()) >= 0);
+    assert.equal(stock.get(m._id.toString()), initial.M - sold.M);
+    assert.equal(stock.get(l._id.toString()), initial.L - sold.L);
+  });
+
+  it("never oversells through POST /api/events/:id/order", async (t) => {
+    const initialStock = 10;
+    const event = await createMerchEvent([{ size: "M", stock: initialStock, price: 300 }]);
+    const variantId = event.merchandiseVariants[0]._id;
+
+    const participants = await Promise.all(
+      Array.from({ length: 30 }, (_, i) =>
+        User.create({
+          firstName:       "Buyer",
+          lastName:        String(i),
+          email:           `buyer${i}@students.iiit.ac.in`,
+          password:        "password123",
+          role:            "participant",
+          participantType: "iiit"
+        })
+      )
+    );
+    const tokens = await Promise.all(participants.map((user) => createSession(user, null)));
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/events", eventRoutes);
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/api/events/${event._id}/order`;
+
+    const statuses = await Promise.all(
+      tokens.map(({ accessToken }) =>
+        fetch(url, {
+          method:  "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${accessToken}` },
+          body:    JSON.stringify({ items: [{ variantId, quantity: 1 }] })
+        }).then((res) => res.status)
+      )
+    );
+
+    const placed = statuses.filter((status) => status === 201).length;
+    assert.ok(statuses.every((status) => status === 201 || status === 400), `unexpected statuses: ${statuses}`);
+
+    const finalStock = (await stockOf(event._id)).get(variantId.toString());
+    const orders = await Registration.find({ eventId: event._id, isCancelled: { $ne: true } });
+    const unitsOrdered = orders.reduce((sum, reg) => sum + reg.quantity, 0);
+
+    assert.equal(placed, initialStock);
+    assert.ok(finalStock >= 0);
+    assert.equal(finalStock, initialStock - unitsOrdered);
+    assert.equal(orders.length, placed);
+  });
+});
\ No newline at end of file
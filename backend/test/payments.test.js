@@ -0,0 +1,124 @@
+// Webhook signature checks and payment provider selection. No database needed:
+// every case here is rejected (or decided) before a query would run.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const mongoose = require("mongoose");
+
+process.env.PAYMENT_PROVIDER       = "mock";
+process.env.PAYMENT_WEBHOOK_SECRET = "test-webhook-secret";
+
+const { signPayload, verifySignature } = require("../utils/payments/signature");
+const { getProvider, getActiveProvider } = require("../utils/payments");
+const { handleWebhook } = require("../utils/paymentService");
+const Event = require("../models/Event");
+
+const SECRET = process.env.PAYMENT_WEBHOOK_SECRET;
+const BODY   = JSON.stringify({ id: "evt_1", type: "payment.succeeded", data: { intentId: "pi_1" } });
+const now    = () => Math.floor(Date.now() / 1000);
+
+// Loads utils/payments in a fresh process with the given provider settings
+const loadPayments = (env, script) =>
+  spawnSync(process.execPath, ["-e", `const payments = require("./utils/payments"); ${script}`], {
+    cwd:      path.join(__dirname, ".."),
+    env:      { PATH: process.env.PATH, ...env },
+    encoding: "utf8"
+  });
+
+test("verifySignature accepts a fresh signature over the same body", () => {
+  assert.equal(verifySignature(BODY, signPayload(BODY, SECRET), SECRET), true);
+  assert.equal(verifySignature(Buffer.from(BODY), signPayload(BODY, SECRET), SECRET), true);
+});
+
+test("verifySignature rejects a tampered body or a different secret", () => {
+  const header = signPayload(BODY, SECRET);
+  assert.equal(verifySignature(BODY.replace("succeeded", "failed"), header, SECRET), false);
+  assert.equal(verifySignature(BODY, header, "another-secret"), false);
+});
+
+test("verifySignature rejects timestamps outside the tolerance", () => {
+  assert.equal(verifySignature(BODY, signPayload(BODY, SECRET, now() - 10 * 60), SECRET), false);
+  assert.equal(verifySignature(BODY, signPayload(BODY, SECRET, now() + 10 * 60), SECRET), false);
+  assert.equal(verifySignature(BODY, signPayload(BODY, SECRET, now() - 60), SECRET), true);
+});
+
+test("verifySignature rejects a replayed signature under a new timestamp", () => {
+  const v1 = signPayload(BODY, SECRET, now() - 60).split("v1=")[1];
+  assert.equal(verifySignature(BODY, `t=${now()},v1=${v1}`, SECRET), false);
+});
+
+test("verifySignature rejects malformed headers and a missing secret", () => {
+  const header = signPayload(BODY, SECRET);
+  for (const bad of [undefined, null, "", "garbage", `t=${now()}`, "v1=abcd", `t=soon,v1=${header.split("v1=")[1]}`, `t=${now()},v1=zz`]) {
+    assert.equal(verifySignature(BODY, bad, SECRET), false, String(bad));
+  }
+  assert.equal(verifySignature(BODY, header, undefined), false);
+  assert.equal(verifySignature(BODY, header, ""), false);
+});
+
+test("the mock provider signs its own callbacks verifiably", () => {
+  const mock = getProvider("mock");
+  assert.equal(getActiveProvider(), mock);
+
+  const { rawBody, headers } = mock.buildWebhook("mock_pi_1", "succeeded");
+  assert.equal(mock.verifyWebhook(rawBody, headers), true);
+  assert.equal(mock.verifyWebhook(rawBody.replace("mock_pi_1", "mock_pi_2"), headers), false);
+  assert.deepEqual(mock.parseWebhook(JSON.parse(rawBody)), {
+    eventId:       JSON.parse(rawBody).id,
+    providerRef:   "mock_pi_1",
+    status:        "Succeeded",
+    failureReason: undefined
+  });
+});
+
+test("handleWebhook rejects unknown providers and bad signatures", async () => {
+  const { rawBody, headers } = getProvider("mock").buildWebhook("mock_pi_1", "succeeded");
+
+  assert.deepEqual(await handleWebhook("stripe", Buffer.from(rawBody), headers),
+    { status: 404, message: "Unknown payment provider." });
+  assert.deepEqual(await handleWebhook("mock", Buffer.from(rawBody), {}),
+    { status: 400, message: "Invalid signature." });
+  assert.deepEqual(await handleWebhook("mock", Buffer.from(rawBody.replace("succeeded", "failed")), headers),
+    { status: 400, message: "Invalid signature." });
+  assert.deepEqual(await handleWebhook("mock", undefined, headers),
+    { status: 400, message: "Invalid signature." });
+});
+
+test("PAYMENT_PROVIDER=mock refuses to start without a webhook secret", () => {
+  const result = loadPayments({ PAYMENT_PROVIDER: "mock" }, "");
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /PAYMENT_WEBHOOK_SECRET must be set/);
+});
+
+test("without PAYMENT_PROVIDER there is no active provider and no mock", () => {
+  const result = loadPayments({ PAYMENT_WEBHOOK_SECRET: SECRET },
+    "console.log(JSON.stringify([payments.getActiveProvider(), payments.getProvider(\"mock\")]));");
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(JSON.parse(result.stdout), [null, null]);
+});
+
+test("team events cannot take online payment", async () => {
+  const event = new Event({
+    name:                 "Hackathon",
+    description:          "Teams of 2-4",
+    type:                 "normal",
+    organizerId:          new mongoose.Types.ObjectId(),
+    eligibility:          "all",
+    registrationDeadline: new Date("2030-01-01"),
+    startDate:            new Date("2030-01-02"),
+    endDate:              new Date("2030-01-03"),
+    registrationFee:      200,
+    isTeamEvent:          true,
+    minTeamSize:          2,
+    maxTeamSize:          4,
+    paymentMode:          "gateway"
+  });
+  await assert.rejects(event.validate(), (err) => {
+    assert.equal(err.errors.paymentMode.message, "Online payment is not available for team events.");
+    return true;
+  });
+
+  event.paymentMode = "manual";
+  await event.validate();
+});
\ No newline at end of file
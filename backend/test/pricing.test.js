@@ -0,0 +1,113 @@
+// Coupon pricing and redemption. The coupon cases need MongoDB - see
+// helpers/testDb; revenue is computed without one.
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Coupon = require("../models/Coupon");
+const { priceWithCoupon, releaseCoupon, getRegistrationRevenue } = require("../utils/pricingService");
+const { skipDbTests, connectTestDb, disconnectTestDb, DB_HOOK_TIMEOUT } = require("./helpers/testDb");
+
+const organizerId = new mongoose.Types.ObjectId();
+const event       = { _id: new mongoose.Types.ObjectId(), organizerId, type: "normal", registrationFee: 500 };
+const participant = () => ({ _id: new mongoose.Types.ObjectId(), participantType: "iiit" });
+
+const createCoupon = (fields) =>
+  Coupon.create({ organizerId, discountType: "percentage", discountValue: 10, ...fields });
+
+const usedCount = async (couponId) => (await Coupon.findById(couponId)).usedCount;
+
+describe("getRegistrationRevenue", () => {
+  it("uses the price captured at purchase", () => {
+    assert.equal(getRegistrationRevenue(event, { paymentStatus: "Approved", amountPaid: 0 }), 0);
+    assert.equal(getRegistrationRevenue(event, { paymentStatus: "Approved", amountPaid: 425.5 }), 425.5);
+  });
+
+  it("falls back to the list price for registrations without stored pricing", () => {
+    assert.equal(getRegistrationRevenue(event, { paymentStatus: "Approved" }), 500);
+  });
+
+  it("counts nothing for cancelled, rejected or pending registrations", () => {
+    assert.equal(getRegistrationRevenue(event, { paymentStatus: "Approved", amountPaid: 500, isCancelled: true }), 0);
+    assert.equal(getRegistrationRevenue(event, { paymentStatus: "Rejected", amountPaid: 500 }), 0);
+    assert.equal(getRegistrationRevenue(event, { paymentStatus: "Pending", amountPaid: 500 }), 0);
+  });
+});
+
+describe("priceWithCoupon", { skip: skipDbTests }, () => {
+  before(async () => {
+    await connectTestDb();
+    await Coupon.init();
+  }, { timeout: DB_HOOK_TIMEOUT });
+  after(disconnectTestDb);
+  beforeEach(() => Coupon.deleteMany({}));
+
+  it("charges the full amount without a coupon", async () => {
+    const { pricing } = await priceWithCoupon(undefined, event, participant(), 500);
+    assert.deepEqual(pricing, { originalAmount: 500, discountAmount: 0, amountPaid: 500 });
+  });
+
+  it("applies percentage discounts rounded to the paisa", async () => {
+    const coupon = await createCoupon({ code: "third", discountValue: 33.33 });
+    const { pricing } = await priceWithCoupon(" Third ", event, participant(), 199);
+
+    assert.equal(pricing.discountAmount, 66.33);
+    assert.equal(pricing.amountPaid, 132.67);
+    assert.equal(pricing.couponCode, "THIRD");
+    assert.equal(pricing.couponId.toString(), coupon._id.toString());
+    assert.equal(await usedCount(coupon._id), 1);
+  });
+
+  it("never discounts a flat coupon below zero", async () => {
+    await createCoupon({ code: "FLAT300", discountType: "flat", discountValue: 300 });
+    const { pricing } = await priceWithCoupon("FLAT300", event, participant(), 200);
+    assert.equal(pricing.discountAmount, 200);
+    assert.equal(pricing.amountPaid, 0);
+  });
+
+  it("rejects coupons whose restrictions aren't met, without using them", async () => {
+    const coupon = await createCoupon({ code: "BIG", minOrderAmount: 1000 });
+    await createCoupon({ code: "OUTSIDE", eligibility: "non-iiit" });
+    await createCoupon({ code: "MERCH", appliesTo: "merchandise" });
+    await createCoupon({ code: "OTHER", eventId: new mongoose.Types.ObjectId() });
+    await createCoupon({ code: "OFF", isActive: false });
+    await createCoupon({ code: "LATER", validFrom: new Date(Date.now() + 60 * 60 * 1000) });
+
+    const cases = {
+      BIG:     "This coupon needs a minimum amount of ₹1000.",
+      OUTSIDE: "This coupon is only for non-IIIT participants.",
+      MERCH:   "This coupon only applies to merchandise.",
+      OTHER:   "Invalid coupon code.",
+      OFF:     "Invalid coupon code.",
+      LATER:   "This coupon is not active yet.",
+      MISSING: "Invalid coupon code."
+    };
+    for (const [code, error] of Object.entries(cases)) {
+      assert.deepEqual(await priceWithCoupon(code, event, participant(), 500), { error }, code);
+    }
+    assert.equal(await usedCount(coupon._id), 0);
+  });
+
+  it("hands out exactly maxUses redemptions to concurrent purchases", async () => {
+    const coupon = await createCoupon({ code: "FIRST5", maxUses: 5 });
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => priceWithCoupon("FIRST5", event, participant(), 500))
+    );
+
+    assert.equal(results.filter((r) => r.pricing).length, 5);
+    for (const r of results.filter((r) => r.error))
+      assert.equal(r.error, "This coupon has reached its usage limit.");
+    assert.equal(await usedCount(coupon._id), 5);
+  });
+
+  it("releaseCoupon gives a use back and never goes below zero", async () => {
+    const coupon = await createCoupon({ code: "ONCE", maxUses: 1 });
+    assert.ok((await priceWithCoupon("ONCE", event, participant(), 500)).pricing);
+    assert.ok((await priceWithCoupon("ONCE", event, participant(), 500)).error);
+
+    await releaseCoupon(coupon._id);
+    await releaseCoupon(coupon._id);
+    assert.equal(await usedCount(coupon._id), 0);
+    assert.ok((await priceWithCoupon("ONCE", event, participant(), 500)).pricing);
+  });
+});
\ No newline at end of file
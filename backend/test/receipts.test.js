@@ -0,0 +1,97 @@
+// Invoice numbering: each club's paid registrations get consecutive numbers,
+// exactly once, even when receipts are requested concurrently.
+// Needs MongoDB - see helpers/testDb.
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Registration = require("../models/Registration");
+const Organizer = require("../models/Organiser");
+const Counter = require("../models/Counter");
+const { RECEIPT_PENDING, issueReceipt } = require("../utils/receiptService");
+const { skipDbTests, connectTestDb, disconnectTestDb, DB_HOOK_TIMEOUT } = require("./helpers/testDb");
+
+const MINUTE_MS = 60 * 1000;
+
+const createPaidRegistration = (event, fields) =>
+  Registration.create({
+    eventId:       event._id,
+    participantId: new mongoose.Types.ObjectId(),
+    paymentStatus: "Approved",
+    amountPaid:    250,
+    ...fields
+  });
+
+const counterValue = async (event) => (await Counter.findOne({ key: `invoice:${event.organizerId}` }))?.seq ?? 0;
+
+describe("issueReceipt", { skip: skipDbTests }, () => {
+  let event;
+
+  before(async () => {
+    await connectTestDb();
+    await Promise.all([Registration.init(), Counter.init(), Organizer.init()]);
+  }, { timeout: DB_HOOK_TIMEOUT });
+  after(disconnectTestDb);
+
+  beforeEach(async () => {
+    const organizer = await Organizer.create({
+      organizerName: "Coding Club",
+      category:      "Technical",
+      description:   "Receipt numbering",
+      contactEmail:  `club-${new mongoose.Types.ObjectId()}@example.com`,
+      userId:        new mongoose.Types.ObjectId()
+    });
+    event = { _id: new mongoose.Types.ObjectId(), organizerId: organizer._id, type: "normal", registrationFee: 250 };
+  });
+
+  it("numbers a club's receipts consecutively", async () => {
+    const suffix = event.organizerId.toString().slice(-4).toUpperCase();
+    const numbers = [];
+    for (let i = 0; i < 3; i++) {
+      const reg = await createPaidRegistration(event);
+      numbers.push((await issueReceipt(reg, event)).receipt.invoiceNumber);
+    }
+    assert.deepEqual(numbers, [1, 2, 3].map((n) => `CODI-${suffix}-0000${n}`));
+  });
+
+  it("gives concurrent requests for one registration the same number", async () => {
+    const reg = await createPaidRegistration(event);
+    const results = await Promise.all(Array.from({ length: 10 }, () => issueReceipt(reg, event)));
+
+    const numbers = new Set(results.map((r) => r.receipt?.invoiceNumber));
+    assert.equal(numbers.size, 1);
+    assert.ok([...numbers][0]);
+    assert.equal(await counterValue(event), 1);
+
+    // Issued receipts never change
+    const again = await issueReceipt(await Registration.findById(reg._id), event);
+    assert.equal(again.receipt.invoiceNumber, [...numbers][0]);
+    assert.equal(await counterValue(event), 1);
+  });
+
+  it("reuses the number drawn by an abandoned claim", async () => {
+    const reg = await createPaidRegistration(event, {
+      receipt: { pendingSince: new Date(Date.now() - 2 * MINUTE_MS), sequence: 7 }
+    });
+    const issued = await issueReceipt(reg, event);
+
+    assert.match(issued.receipt.invoiceNumber, /-00007$/);
+    assert.equal(issued.receipt.pendingSince, undefined);
+    assert.equal(await counterValue(event), 0);
+  });
+
+  it("reports a receipt another request is still numbering as pending", async () => {
+    const reg = await createPaidRegistration(event, { receipt: { pendingSince: new Date() } });
+    assert.equal(await issueReceipt(reg, event), RECEIPT_PENDING);
+    assert.equal(await counterValue(event), 0);
+  });
+
+  it("issues no receipt for free or unpaid registrations", async () => {
+    const free    = await createPaidRegistration(event, { amountPaid: 0 });
+    const pending = await createPaidRegistration(event, { paymentStatus: "Pending" });
+
+    assert.equal(await issueReceipt(free, event), null);
+    assert.equal(await issueReceipt(pending, event), null);
+    assert.equal(await counterValue(event), 0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { base32Encode, base32Decode, hotp, totp, verifyTotp } = require("../utils/totp");
+
+// RFC 4226 appendix D - HOTP values for counters 0-9
+const RFC4226_KEY = Buffer.from("12345678901234567890");
+const RFC4226_CODES = [
+  "755224", "287082", "359152", "969429", "338314",
+  "254676", "287922", "162583", "399871", "520489"
+];
+
+// RFC 6238 appendix B - 8-digit TOTP values, 30 second steps. Each algorithm
+// uses the ASCII seed "1234567890" repeated to the hash's key length.
+const RFC6238_KEYS = {
+  sha1:   Buffer.from("12345678901234567890"),
+  sha256: Buffer.from("12345678901234567890123456789012"),
+  sha512: Buffer.from("1234567890123456789012345678901234567890123456789012345678901234")
+};
+const RFC6238_VECTORS = [
+  { time: 59,          sha1: "94287082", sha256: "46119246", sha512: "90693936" },
+  { time: 1111111109,  sha1: "07081804", sha256: "68084774", sha512: "25091201" },
+  { time: 1111111111,  sha1: "14050471", sha256: "67062674", sha512: "99943326" },
+  { time: 1234567890,  sha1: "89005924", sha256: "91819424", sha512: "93441116" },
+  { time: 2000000000,  sha1: "69279037", sha256: "90698825", sha512: "38618901" },
+  { time: 20000000000, sha1: "65353130", sha256: "77737706", sha512: "47863826" }
+];
+
+test("hotp matches the RFC 4226 test values", () => {
+  RFC4226_CODES.forEach((code, counter) => {
+    assert.equal(hotp(RFC4226_KEY, counter), code);
+  });
+});
+
+test("totp matches the RFC 6238 test vectors", () => {
+  for (const vector of RFC6238_VECTORS) {
+    for (const algorithm of ["sha1", "sha256", "sha512"]) {
+      const code = totp(RFC6238_KEYS[algorithm], { time: vector.time * 1000, digits: 8, algorithm });
+      assert.equal(code, vector[algorithm], `${algorithm} at T=${vector.time}`);
+    }
+  }
+});
+
+test("base32 secrets round-trip", () => {
+  const secret = base32Encode(RFC6238_KEYS.sha1);
+  assert.equal(secret, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.deepEqual(base32Decode(secret), RFC6238_KEYS.sha1);
+  assert.throws(() => base32Decode("not base32!"));
+});
+
+test("verifyTotp accepts the current step and drift within the window", () => {
+  const secret = base32Encode(RFC6238_KEYS.sha1);
+  const time = 1111111111 * 1000;  // step 37037037
+  const code = totp(secret, { time });
+
+  assert.equal(verifyTotp(secret, code, { time }), 37037037);
+  assert.equal(verifyTotp(secret, code, { time: time + 30 * 1000 }), 37037037);
+  assert.equal(verifyTotp(secret, code, { time: time + 90 * 1000 }), null);
+});
+
+test("verifyTotp rejects malformed codes", () => {
+  const secret = base32Encode(RFC6238_KEYS.sha1);
+  for (const code of ["", "12345", "1234567", "abcdef", null, undefined]) {
+    assert.equal(verifyTotp(secret, code), null);
+  }
+});
\ No newline at end of file
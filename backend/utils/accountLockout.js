@@ -0,0 +1,29 @@
+const User = require("../models/User");
+
+// After LOCKOUT_THRESHOLD consecutive failures the account locks, and each
+// further failure doubles the lock: 5 min, 10 min, 20 min ... up to a day.
+const LOCKOUT_THRESHOLD   = Number(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = 5;
+const LOCKOUT_MAX_MINUTES  = 24 * 60;
+
+// Seconds until the account unlocks, or 0 when it isn't locked
+const getLockRemaining = (user) =>
+  user.lockUntil && user.lockUntil > new Date() ? Math.ceil((user.lockUntil - Date.now()) / 1000) : 0;
+
+const recordFailedLogin = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+  if (!user || user.failedLoginAttempts < LOCKOUT_THRESHOLD) return user;
+
+  const minutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** (user.failedLoginAttempts - LOCKOUT_THRESHOLD),
+    LOCKOUT_MAX_MINUTES
+  );
+  user.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  await User.updateOne({ _id: user._id }, { lockUntil: user.lockUntil });
+  return user;
+};
+
+const clearFailedLogins = (userId) =>
+  User.updateOne({ _id: userId }, { failedLoginAttempts: 0, lockUntil: null });
+
+module.exports = { getLockRemaining, recordFailedLogin, clearFailedLogins };
\ No newline at end of file
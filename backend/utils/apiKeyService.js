@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const ApiKeyUsage = require("../models/ApiKeyUsage");
+const Organizer = require("../models/Organiser");
+const User = require("../models/User");
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Creates a new random key. Returns the full key (shown to the organizer
+ * once), its display prefix and the hash to store.
+ */
+const generateApiKey = () => {
+  const prefix = `fk_${crypto.randomBytes(4).toString("hex")}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString("hex")}`;
+  return { key, prefix, keyHash: hashKey(key) };
+};
+
+/**
+ * Looks up a presented key. Returns the ApiKey document, or null when it is
+ * unknown, revoked, expired, or its club account has been disabled.
+ */
+const verifyApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return null;
+
+  const organizer = await Organizer.findById(apiKey.organizerId).select("userId");
+  const owner = organizer && await User.findById(organizer.userId).select("isActive");
+  if (!owner?.isActive) return null;
+
+  return apiKey;
+};
+
+// Stamps last use and writes the audit row once the response has gone out
+const trackApiKeyUsage = (apiKey, req, res) => {
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip }).catch(() => {});
+
+  res.on("finish", () => {
+    ApiKeyUsage.create({
+      apiKeyId:    apiKey._id,
+      organizerId: apiKey.organizerId,
+      method:      req.method,
+      path:        req.originalUrl.split("?")[0],
+      statusCode:  res.statusCode,
+      ip:          req.ip,
+      userAgent:   req.get("user-agent") || ""
+    }).catch((err) => console.error("API key usage log failed:", err.message));
+  });
+};
+
+module.exports = { generateApiKey, verifyApiKey, trackApiKeyUsage };
\ No newline at end of file
@@ -0,0 +1,139 @@
+const Organizer = require("../models/Organiser");
+const OrganizerMember = require("../models/OrganizerMember");
+const Event = require("../models/Event");
+
+// What each club role may do. "owner" is the club's own account.
+const ROLE_PERMISSIONS = {
+  owner:     ["*"],
+  editor:    ["events:read", "events:write", "registrations:read", "attendance:read", "attendance:manage", "forum:moderate"],
+  finance:   ["events:read", "orders:manage", "coupons:manage", "analytics:read", "registrations:read"],
+  scanner:   ["events:read", "attendance:scan", "attendance:read"],
+  moderator: ["events:read", "forum:moderate"]
+};
+
+// What each API key scope grants
+const API_KEY_SCOPE_PERMISSIONS = {
+  "events:read":        ["events:read"],
+  "registrations:read": ["registrations:read"],
+  "attendance:scan":    ["attendance:scan", "attendance:read"]
+};
+
+const grants = (permissions, permission) => permissions.includes("*") || permissions.includes(permission);
+
+const hasClubPermission = (role, permission) => grants(ROLE_PERMISSIONS[role] || [], permission);
+
+/**
+ * Finds the club an organizer-role user belongs to and their role in it.
+ * Returns { organizer, role } or null.
+ */
+const getClubMembership = async (userId) => {
+  const owned = await Organizer.findOne({ userId });
+  if (owned) return { organizer: owned, role: "owner" };
+
+  const member = await OrganizerMember.findOne({ userId });
+  if (!member) return null;
+  const organizer = await Organizer.findById(member.organizerId);
+  return organizer ? { organizer, role: member.role } : null;
+};
+
+// True when the user belongs to the club running `event` (and holds `permission`, if given)
+const canManageEvent = async (userId, event, permission) => {
+  if (!event) return false;
+  const membership = await getClubMembership(userId);
+  return !!membership &&
+    membership.organizer._id.toString() === event.organizerId.toString() &&
+    (!permission || hasClubPermission(membership.role, permission));
+};
+
+/**
+ * Resolves the club behind a request - a member login or a club API key.
+ * Sends the error response and returns null when there is none, or when
+ * `permission` isn't granted. Routes with no permission are member-only.
+ */
+const resolveClubAccess = async (req, res, permission) => {
+  let access = null;
+  if (req.user?.apiKey) {
+    if (!permission) {
+      res.status(403).json({ message: "API keys cannot be used for this endpoint." });
+      return null;
+    }
+    const organizer = await Organizer.findById(req.user.apiKey.organizerId);
+    if (organizer) {
+      const permissions = req.user.apiKey.scopes.flatMap((scope) => API_KEY_SCOPE_PERMISSIONS[scope] || []);
+      access = { organizer, role: "api-key", permissions };
+    }
+  } else if (req.user?.role === "organizer") {
+    const membership = await getClubMembership(req.user.id);
+    if (membership) access = { ...membership, permissions: ROLE_PERMISSIONS[membership.role] };
+  } else {
+    res.status(403).json({ message: "Access denied." });
+    return null;
+  }
+
+  if (!access) {
+    res.status(404).json({ message: "Organizer profile not found." });
+    return null;
+  }
+  return access;
+};
+
+const denyPermission = (res, access) =>
+  res.status(403).json({
+    message: access.role === "api-key"
+      ? "This API key does not have the required scope."
+      : "Your club role does not allow this action."
+  });
+
+/**
+ * Route guard for club-level actions. Sets req.organizer, req.clubRole and
+ * req.clubPermissions. Pass no permission to admit any member of the club.
+ */
+const requireClubPermission = (permission) => async (req, res, next) => {
+  try {
+    const access = await resolveClubAccess(req, res, permission);
+    if (!access) return;
+    if (permission && !grants(access.permissions, permission)) return denyPermission(res, access);
+
+    req.organizer       = access.organizer;
+    req.clubRole        = access.role;
+    req.clubPermissions = access.permissions;
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  next();
+};
+
+/**
+ * Route guard for /:id routes on a club's own event. Sets req.event as well as
+ * the fields set by requireClubPermission.
+ */
+const requireEventPermission = (permission) => async (req, res, next) => {
+  try {
+    const access = await resolveClubAccess(req, res, permission);
+    if (!access) return;
+
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found." });
+    if (event.organizerId.toString() !== access.organizer._id.toString())
+      return res.status(403).json({ message: "Not authorized." });
+    if (!grants(access.permissions, permission)) return denyPermission(res, access);
+
+    req.organizer       = access.organizer;
+    req.clubRole        = access.role;
+    req.clubPermissions = access.permissions;
+    req.event           = event;
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  next();
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPE_PERMISSIONS,
+  hasClubPermission,
+  getClubMembership,
+  canManageEvent,
+  requireClubPermission,
+  requireEventPermission
+};
\ No newline at end of file
@@ -56,7 +56,9 @@ const getTransporter = async () => {
   return transporter;
 };
 
-const sendTicketEmail = async (userEmail, ticketId, eventName, userName) => {
+// details.tierName: ticket tier, shown on the ticket when present
+// details.receipt: { invoiceNumber, filename, content } - PDF receipt to attach
+const sendTicketEmail = async (userEmail, ticketId, eventName, userName, details = {}) => {
   try {
     const t = await getTransporter();
 
@@ -75,6 +77,8 @@ const sendTicketEmail = async (userEmail, ticketId, eventName, userName) => {
           <p>Hello <strong>${userName}</strong>,</p>
           <p>You have successfully registered for <strong>${eventName}</strong>.</p>
           <p><strong>Ticket ID:</strong> <code style="background: #f0f0f0; padding: 4px 8px; border-radius: 4px;">${ticketId}</code></p>
+          ${details.tierName ? `<p><strong>Ticket Type:</strong> ${details.tierName}</p>` : ""}
+          ${details.receipt ? `<p>Your receipt <strong>${details.receipt.invoiceNumber}</strong> is attached to this email.</p>` : ""}
           <p>Please present the QR code below at the event entrance:</p>
           <div style="text-align: center; margin: 24px 0;">
             <img src="cid:ticketqr" alt="Ticket QR Code" style="width: 200px; height: 200px; border: 2px solid #ddd; border-radius: 8px;" />
@@ -96,6 +100,9 @@ const sendTicketEmail = async (userEmail, ticketId, eventName, userName) => {
           cid: "ticketqr",
           contentType: "image/png",
         },
+        ...(details.receipt
+          ? [{ filename: details.receipt.filename, content: details.receipt.content, contentType: "application/pdf" }]
+          : []),
       ],
     });
 
@@ -109,4 +116,116 @@ const sendTicketEmail = async (userEmail, ticketId, eventName, userName) => {
   }
 };
 
-module.exports = sendTicketEmail;
\ No newline at end of file
+const sendVerificationEmail = async (userEmail, userName, verifyUrl) => {
+  try {
+    const t = await getTransporter();
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #ddd; border-radius: 8px; overflow: hidden;">
+        <div style="background: #1a1a2e; color: white; padding: 24px; text-align: center;">
+          <h1 style="margin: 0;">Verify your email</h1>
+        </div>
+        <div style="padding: 24px;">
+          <p>Hello <strong>${userName}</strong>,</p>
+          <p>Please confirm this is your email address to activate your Felicity account.</p>
+          <div style="text-align: center; margin: 24px 0;">
+            <a href="${verifyUrl}" style="background: #1a1a2e; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Verify Email</a>
+          </div>
+          <p style="color: #666; font-size: 14px;">This link expires in 24 hours. If you did not sign up, you can ignore this email.</p>
+        </div>
+      </div>
+    `;
+
+    const info = await t.sendMail({
+      from: process.env.EMAIL_FROM || '"Felicity Events" <noreply@felicity.iiit.ac.in>',
+      to: userEmail,
+      subject: "Verify your Felicity account",
+      html,
+    });
+
+    console.log(`Verification email sent to ${userEmail}`);
+
+    const preview = nodemailer.getTestMessageUrl(info);
+    if (preview) console.log("Preview URL:", preview);
+
+  } catch (err) {
+    console.error("Email send error:", err.message);
+  }
+};
+
+const sendPasswordResetEmail = async (toEmail, userName, resetUrl) => {
+  try {
+    const t = await getTransporter();
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #ddd; border-radius: 8px; overflow: hidden;">
+        <div style="background: #1a1a2e; color: white; padding: 24px; text-align: center;">
+          <h1 style="margin: 0;">Reset your password</h1>
+        </div>
+        <div style="padding: 24px;">
+          <p>Hello <strong>${userName}</strong>,</p>
+          <p>We received a request to reset the password for your Felicity account.</p>
+          <div style="text-align: center; margin: 24px 0;">
+            <a href="${resetUrl}" style="background: #1a1a2e; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Choose a new password</a>
+          </div>
+          <p style="color: #666; font-size: 14px;">This link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.</p>
+        </div>
+      </div>
+    `;
+
+    const info = await t.sendMail({
+      from: process.env.EMAIL_FROM || '"Felicity Events" <noreply@felicity.iiit.ac.in>',
+      to: toEmail,
+      subject: "Reset your Felicity password",
+      html,
+    });
+
+    console.log(`Password reset email sent to ${toEmail}`);
+
+    const preview = nodemailer.getTestMessageUrl(info);
+    if (preview) console.log("Preview URL:", preview);
+
+  } catch (err) {
+    console.error("Email send error:", err.message);
+  }
+};
+
+// Waitlist promotion into an event that takes payment online - the seat is held until payUrl is used
+const sendPaymentDueEmail = async (toEmail, userName, eventName, amount, payUrl, expiresAt) => {
+  try {
+    const t = await getTransporter();
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #ddd; border-radius: 8px; overflow: hidden;">
+        <div style="background: #1a1a2e; color: white; padding: 24px; text-align: center;">
+          <h1 style="margin: 0;">A seat opened up</h1>
+        </div>
+        <div style="padding: 24px;">
+          <p>Hello <strong>${userName}</strong>,</p>
+          <p>You've been moved off the waitlist for <strong>${eventName}</strong>. Pay <strong>₹${amount}</strong> to confirm your seat and receive your ticket.</p>
+          <div style="text-align: center; margin: 24px 0;">
+            <a href="${payUrl}" style="background: #1a1a2e; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Complete payment</a>
+          </div>
+          <p style="color: #666; font-size: 14px;">We'll hold the seat until ${new Date(expiresAt).toLocaleString()}. After that it goes to the next person on the waitlist.</p>
+        </div>
+      </div>
+    `;
+
+    const info = await t.sendMail({
+      from: process.env.EMAIL_FROM || '"Felicity Events" <noreply@felicity.iiit.ac.in>',
+      to: toEmail,
+      subject: `Complete your payment for ${eventName}`,
+      html,
+    });
+
+    console.log(`Payment due email sent to ${toEmail}`);
+
+    const preview = nodemailer.getTestMessageUrl(info);
+    if (preview) console.log("Preview URL:", preview);
+
+  } catch (err) {
+    console.error("Email send error:", err.message);
+  }
+};
+
+module.exports = { sendTicketEmail, sendVerificationEmail, sendPasswordResetEmail, sendPaymentDueEmail };
\ No newline at end of file
@@ -0,0 +1,247 @@
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const Organizer = require("../models/Organiser");
+const Registration = require("../models/Registration");
+const Team = require("../models/Team");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const TAG_FACET_LIMIT = 20;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// $text treats double quotes and a leading "-" as operators - search input is plain words
+const toTextQuery = (search) => search.replace(/["\\]/g, " ").replace(/(^|\s)-+/g, "$1").trim();
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString("base64url");
+
+// Cursors come back from the client - null unless every field is well-formed
+const decodeCursor = (cursor) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== "object") return null;
+  if (!["all", "text", "regex"].includes(data.m)) return null;
+  if (!Number.isFinite(data.s)) return null;
+  if (typeof data.d !== "string" || Number.isNaN(new Date(data.d).getTime())) return null;
+  if (!mongoose.isObjectIdOrHexString(data.id)) return null;
+  return data;
+};
+
+// A cursor's mode must be one the current query can run: "all" without a
+// search, "text" only when there are words to look up, "regex" for any search
+const cursorFitsQuery = (cursor, filters) =>
+  !filters.search ? cursor.m === "all" : cursor.m === "regex" || (cursor.m === "text" && !!filters.textQuery);
+
+// Seats still available: merch = any stock left; team events count teams; others count people
+const seatStages = () => [
+  {
+    $lookup: {
+      from: Registration.collection.name,
+      let:  { eventId: "$_id" },
+      pipeline: [
+        { $match: { $expr: { $eq: ["$eventId", "$$eventId"] }, isCancelled: { $ne: true } } },
+        { $count: "n" }
+      ],
+      as: "registrationCount"
+    }
+  },
+  {
+    $lookup: {
+      from: Team.collection.name,
+      let:  { eventId: "$_id" },
+      pipeline: [{ $match: { $expr: { $eq: ["$eventId", "$$eventId"] } } }, { $count: "n" }],
+      as: "teamCount"
+    }
+  },
+  {
+    $addFields: {
+      taken: {
+        $ifNull: [
+          { $arrayElemAt: [{ $cond: ["$isTeamEvent", "$teamCount.n", "$registrationCount.n"] }, 0] },
+          0
+        ]
+      }
+    }
+  },
+  {
+    $addFields: {
+      hasSeats: {
+        $cond: [
+          { $eq: ["$type", "merchandise"] },
+          { $gt: [{ $sum: "$merchandiseVariants.stock" }, 0] },
+          { $or: [{ $not: ["$registrationLimit"] }, { $lt: ["$taken", "$registrationLimit"] }] }
+        ]
+      }
+    }
+  },
+  { $project: { registrationCount: 0, teamCount: 0, taken: 0 } }
+];
+
+const buildPipeline = (filters, mode, cursor, pageSize) => {
+  const match = { ...filters.match };
+  const pipeline = [];
+
+  if (mode === "text") {
+    pipeline.push({ $match: { $text: { $search: filters.textQuery }, ...match } });
+    pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+  } else {
+    if (mode === "regex") {
+      const pattern = new RegExp(escapeRegex(filters.search), "i");
+      match.$or = [{ name: pattern }, { tags: pattern }, { description: pattern }];
+    }
+    pipeline.push({ $match: match });
+    pipeline.push({ $addFields: { score: 0 } });
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: Organizer.collection.name,
+        let:  { organizerId: "$organizerId" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$organizerId"] } } },
+          { $project: { organizerName: 1, category: 1 } }
+        ],
+        as: "organizerId"
+      }
+    },
+    { $unwind: "$organizerId" }
+  );
+
+  if (filters.categories.length > 0)
+    pipeline.push({ $match: { "organizerId.category": { $in: filters.categories } } });
+
+  pipeline.push(...seatStages());
+  if (filters.hasSeats) pipeline.push({ $match: { hasSeats: true } });
+
+  // Keyset pagination: everything strictly after the last item of the previous page
+  const results = [];
+  if (cursor) {
+    const startDate = new Date(cursor.d);
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    results.push({
+      $match: {
+        $or: [
+          { score: { $lt: cursor.s } },
+          { score: cursor.s, startDate: { $gt: startDate } },
+          { score: cursor.s, startDate, _id: { $gt: id } }
+        ]
+      }
+    });
+  }
+  results.push({ $sort: { score: -1, startDate: 1, _id: 1 } }, { $limit: pageSize + 1 });
+
+  pipeline.push({
+    $facet: {
+      results,
+      total:       [{ $count: "n" }],
+      type:        [{ $group: { _id: "$type", count: { $sum: 1 } } }],
+      eligibility: [{ $group: { _id: "$eligibility", count: { $sum: 1 } } }],
+      category:    [{ $group: { _id: "$organizerId.category", count: { $sum: 1 } } }],
+      fee: [
+        { $group: { _id: { $cond: [{ $gt: ["$registrationFee", 0] }, "paid", "free"] }, count: { $sum: 1 } } }
+      ],
+      seats: [
+        { $group: { _id: { $cond: ["$hasSeats", "available", "full"] }, count: { $sum: 1 } } }
+      ],
+      tags: [
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: TAG_FACET_LIMIT }
+      ]
+    }
+  });
+
+  return pipeline;
+};
+
+const formatFacet = (buckets) =>
+  buckets
+    .filter((b) => b._id !== null && b._id !== undefined)
+    .map((b) => ({ value: b._id, count: b.count }))
+    .sort((a, b) => b.count - a.count);
+
+/**
+ * Relevance-ranked, cursor-paginated event search with facet counts.
+ * `params` are the raw query-string values of GET /api/events; `baseMatch`
+ * holds conditions the route has already decided on (visibility, followed clubs).
+ * Search uses the weighted text index and falls back to an escaped substring
+ * match when no whole word matches, so partial names still find something.
+ * Resolves to { error } for a malformed cursor or one from a different search.
+ */
+const searchEvents = async (params, baseMatch = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(params.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const match = { ...baseMatch };
+
+  if (params.type)        match.type        = String(params.type);
+  if (params.eligibility) match.eligibility = String(params.eligibility);
+
+  if (params.startDate || params.endDate) {
+    match.startDate = {};
+    if (params.startDate) match.startDate.$gte = new Date(params.startDate);
+    if (params.endDate)   match.startDate.$lte = new Date(params.endDate);
+  }
+
+  const minFee = parseFloat(params.minFee);
+  const maxFee = parseFloat(params.maxFee);
+  if (Number.isFinite(minFee) || Number.isFinite(maxFee)) {
+    match.registrationFee = {};
+    if (Number.isFinite(minFee)) match.registrationFee.$gte = minFee;
+    if (Number.isFinite(maxFee)) match.registrationFee.$lte = maxFee;
+  }
+
+  const tags = params.tags ? toList(params.tags) : [];
+  if (tags.length > 0) match.tags = { $all: tags };
+
+  const search = typeof params.search === "string" ? params.search.trim() : "";
+  const filters = {
+    match,
+    search,
+    textQuery:  toTextQuery(search),
+    categories: params.category ? toList(params.category) : [],
+    hasSeats:   params.hasSeats === "true"
+  };
+
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+  if (params.cursor && !(cursor && cursorFitsQuery(cursor, filters))) return { error: "Invalid cursor." };
+  let mode = !search ? "all" : cursor?.m || (filters.textQuery ? "text" : "regex");
+
+  let [result] = await Event.aggregate(buildPipeline(filters, mode, cursor, pageSize));
+
+  if (mode === "text" && !cursor && result.total.length === 0) {
+    mode = "regex";
+    [result] = await Event.aggregate(buildPipeline(filters, mode, null, pageSize));
+  }
+
+  const hasMore = result.results.length > pageSize;
+  const events  = result.results.slice(0, pageSize);
+  const last    = events[events.length - 1];
+
+  return {
+    events,
+    total: result.total[0]?.n || 0,
+    nextCursor: hasMore
+      ? encodeCursor({ m: mode, s: last.score, d: last.startDate, id: last._id.toString() })
+      : null,
+    facets: {
+      type:        formatFacet(result.type),
+      eligibility: formatFacet(result.eligibility),
+      category:    formatFacet(result.category),
+      fee:         formatFacet(result.fee),
+      seats:       formatFacet(result.seats),
+      tags:        formatFacet(result.tags)
+    }
+  };
+};
+
+module.exports = searchEvents;
@@ -0,0 +1,36 @@
+const Registration = require("../models/Registration");
+
+// A registration with no sessionIds covers the whole event, i.e. every session.
+// That's what team members, waitlist promotions and older registrations get.
+const coversSession = (reg, sessionId) =>
+  !reg.sessionIds?.length || reg.sessionIds.some((id) => id.toString() === sessionId.toString());
+
+const sessionRegistrationFilter = (eventId, sessionId) => ({
+  eventId,
+  isCancelled: { $ne: true },
+  $or:         [{ sessionIds: sessionId }, { sessionIds: { $size: 0 } }]
+});
+
+const getSessionAttendance = (reg, sessionId) =>
+  (reg.sessionAttendance || []).find((a) => a.sessionId.toString() === sessionId.toString()) || null;
+
+const countSessionRegistrations = (eventId, sessionId) =>
+  Registration.countDocuments(sessionRegistrationFilter(eventId, sessionId));
+
+// Returns the first of `sessions` that has no seats left (from the session's
+// seat counter), or null
+const findFullSession = (sessions) =>
+  sessions.find((session) => session.capacity && (session.taken || 0) >= session.capacity) || null;
+
+// The session running at `now`, used when a scanner doesn't say which one
+const getCurrentSession = (event, now = new Date()) =>
+  (event.sessions || []).find((s) => now >= s.startTime && now <= s.endTime) || null;
+
+module.exports = {
+  coversSession,
+  sessionRegistrationFilter,
+  getSessionAttendance,
+  countSessionRegistrations,
+  findFullSession,
+  getCurrentSession
+};
\ No newline at end of file
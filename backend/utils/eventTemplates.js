@@ -0,0 +1,48 @@
+const Registration = require("../models/Registration");
+const { HOLDS_STOCK, getOrderItems } = require("./inventoryService");
+
+// Event settings a template carries and a clone copies. Name, dates and status
+// always come from the new event.
+const TEMPLATE_FIELDS = [
+  "type", "description", "eligibility", "tags",
+  "registrationLimit", "allowCancellation", "cancellationCutoffHours",
+  "paymentMode", "registrationFee", "customForm", "ticketTiers",
+  "isTeamEvent", "minTeamSize", "maxTeamSize",
+  "merchandiseVariants", "purchaseLimitPerUser", "requiresPaymentApproval"
+];
+
+// Also drops a tier's seat counter - the copy starts with nothing sold
+const stripId = ({ _id, sold, ...rest }) => rest;
+
+/**
+ * Copies the TEMPLATE_FIELDS of an event or template into a plain object.
+ * Form fields, tiers and variants lose their _id so the copy gets its own.
+ */
+const copyEventSetup = (source) => {
+  const doc = typeof source.toObject === "function" ? source.toObject({ virtuals: false }) : source;
+  const setup = {};
+  for (const key of TEMPLATE_FIELDS) {
+    if (doc[key] !== undefined && doc[key] !== null) setup[key] = doc[key];
+  }
+  for (const key of ["customForm", "ticketTiers", "merchandiseVariants"]) {
+    if (Array.isArray(setup[key])) setup[key] = setup[key].map(stripId);
+  }
+  return setup;
+};
+
+// Units of each variant currently taken out of stock by orders
+const getSoldQuantities = async (eventId) => {
+  const orders = await Registration.find({ eventId, ...HOLDS_STOCK })
+    .select("items variantId quantity originalAmount");
+
+  const sold = new Map();
+  for (const order of orders) {
+    for (const item of getOrderItems(order)) {
+      const key = String(item.variantId);
+      sold.set(key, (sold.get(key) || 0) + item.quantity);
+    }
+  }
+  return sold;
+};
+
+module.exports = { TEMPLATE_FIELDS, copyEventSetup, getSoldQuantities };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const safeRegex = require("safe-regex2");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9]{7,15}$/;
+
+// Default length caps when the organizer doesn't set max on a text field
+const DEFAULT_MAX_LENGTH = { text: 500, textarea: 5000 };
+
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Organizer patterns run against participant input on the request thread, so
+ * they must compile and must not backtrack catastrophically (e.g. "(a+)+$").
+ * Returns an error message, or null when the pattern is fine to use.
+ */
+const checkPattern = (pattern) => {
+  if (typeof pattern !== "string") return "Pattern must be text.";
+  if (pattern.length > MAX_PATTERN_LENGTH) return `Pattern must be at most ${MAX_PATTERN_LENGTH} characters.`;
+  try {
+    new RegExp(pattern);
+  } catch {
+    return "Invalid regular expression.";
+  }
+  if (!safeRegex(pattern)) return "Pattern is too complex (nested repetition can hang validation).";
+  return null;
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+// Returns [normalizedValue, errorMessage] for a single non-empty answer
+const checkField = (field, value) => {
+  switch (field.fieldType) {
+    case "text":
+    case "textarea": {
+      if (typeof value !== "string") return [null, "Must be text."];
+      const text = value.trim();
+      const maxLength = field.max ?? DEFAULT_MAX_LENGTH[field.fieldType];
+      if (field.min != null && text.length < field.min)
+        return [null, `Must be at least ${field.min} characters.`];
+      if (text.length > maxLength)
+        return [null, `Must be at most ${maxLength} characters.`];
+      // Forms saved before patterns were checked are skipped rather than run
+      if (field.pattern && !checkPattern(field.pattern) && !new RegExp(field.pattern).test(text))
+        return [null, field.patternMessage || "Invalid format."];
+      return [text, null];
+    }
+
+    case "number": {
+      const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof num !== "number" || !Number.isFinite(num)) return [null, "Must be a number."];
+      if (field.min != null && num < field.min) return [null, `Must be at least ${field.min}.`];
+      if (field.max != null && num > field.max) return [null, `Must be at most ${field.max}.`];
+      return [num, null];
+    }
+
+    case "email": {
+      if (typeof value !== "string" || !EMAIL_RE.test(value.trim()))
+        return [null, "Must be a valid email address."];
+      return [value.trim().toLowerCase(), null];
+    }
+
+    case "phone": {
+      const phone = typeof value === "string" ? value.replace(/[\s\-()]/g, "") : "";
+      if (!PHONE_RE.test(phone)) return [null, "Must be a valid phone number."];
+      return [phone, null];
+    }
+
+    case "date": {
+      if (typeof value !== "string" || Number.isNaN(Date.parse(value)))
+        return [null, "Must be a valid date."];
+      return [value.trim(), null];
+    }
+
+    case "dropdown": {
+      if (typeof value !== "string" || !(field.options || []).includes(value))
+        return [null, "Please choose one of the listed options."];
+      return [value, null];
+    }
+
+    case "checkbox": {
+      // Without options it's a single yes/no tick box
+      if (!field.options || field.options.length === 0) {
+        if (typeof value !== "boolean") return [null, "Must be true or false."];
+        return [value, null];
+      }
+      const picked = Array.isArray(value) ? value : [value];
+      const invalid = picked.filter((v) => !field.options.includes(v));
+      if (invalid.length > 0) return [null, `Invalid option(s): ${invalid.join(", ")}.`];
+      return [[...new Set(picked)], null];
+    }
+
+    case "file": {
+      if (typeof value !== "string") return [null, "Must be a file reference."];
+      return [value.trim(), null];
+    }
+
+    default:
+      return [null, "Unsupported field type."];
+  }
+};
+
+/**
+ * Validates a participant's answers against an event's customForm.
+ * Answers are keyed by field label. Returns { values, errors }: values holds
+ * the normalized answers to store, errors maps label -> message and is empty
+ * when the submission is valid. Unknown keys are rejected.
+ */
+const validateFormData = (fields = [], formData = {}) => {
+  const values = {};
+  const errors = {};
+
+  if (formData === null || typeof formData !== "object" || Array.isArray(formData)) {
+    errors._form = "formData must be an object keyed by field label.";
+    return { values, errors };
+  }
+
+  const labels = fields.map((f) => f.label);
+  for (const key of Object.keys(formData)) {
+    if (!labels.includes(key)) errors[key] = "Unknown field.";
+  }
+
+  for (const field of fields) {
+    const value = formData[field.label];
+    // An unticked single checkbox counts as empty for "required" purposes
+    const empty = isEmpty(value) || (field.fieldType === "checkbox" && value === false);
+
+    if (empty) {
+      if (field.isRequired) errors[field.label] = "This field is required.";
+      continue;
+    }
+
+    const [normalized, error] = checkField(field, value);
+    if (error) errors[field.label] = error;
+    else values[field.label] = normalized;
+  }
+
+  return { values, errors };
+};
+
+module.exports = validateFormData;
+module.exports.checkPattern = checkPattern;
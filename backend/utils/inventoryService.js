@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const { scheduleJob, cancelJob } = require("./scheduler");
+
+// How long an unpaid order (or registration) keeps its units (or seat) before
+// the proof or online payment is in
+const RESERVATION_MINUTES = parseInt(process.env.ORDER_RESERVATION_MINUTES) || 60;
+
+const reservationKey = (registrationId) => `order:${registrationId}:reservation`;
+
+// Orders whose units are currently taken out of variant stock. Orders placed
+// before reservations existed have no stockReserved flag; of those only
+// Approved ones were deducted.
+const HOLDS_STOCK = {
+  $or: [
+    { stockReserved: true },
+    { stockReserved: { $exists: false }, paymentStatus: "Approved", isCancelled: { $ne: true } }
+  ]
+};
+
+/**
+ * Takes `quantity` units of a variant in a single conditional update, so
+ * concurrent orders can never push stock below zero. Resolves to true when
+ * the units were taken, false when there wasn't enough stock.
+ */
+const reserveStock = async (eventId, variantId, quantity) => {
+  const result = await Event.updateOne(
+    {
+      _id: eventId,
+      merchandiseVariants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } }
+    },
+    { $inc: { "merchandiseVariants.$.stock": -quantity } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const restoreStock = (eventId, variantId, quantity) =>
+  Event.updateOne(
+    { _id: eventId, "merchandiseVariants._id": variantId },
+    { $inc: { "merchandiseVariants.$.stock": quantity } }
+  );
+
+/**
+ * Line items of a merchandise order. Orders from before carts existed stored
+ * a single variantId / quantity; they come back as one line, priced from what
+ * was charged, or the variant's current price if nothing was recorded.
+ */
+const getOrderItems = (reg, event) => {
+  if (reg.items?.length > 0) return reg.items;
+  if (!reg.variantId) return [];
+
+  const variant  = event?.merchandiseVariants.id(reg.variantId);
+  const quantity = reg.quantity || 1;
+  return [{
+    variantId: reg.variantId,
+    size:      variant?.size,
+    color:     variant?.color,
+    quantity,
+    unitPrice: reg.originalAmount != null ? reg.originalAmount / quantity : variant?.price || 0
+  }];
+};
+
+/**
+ * Reserves every line of an order. If any line is short, the lines already
+ * taken are put back and that line is returned; null means all were reserved.
+ */
+const reserveItems = async (eventId, items) => {
+  const taken = [];
+  for (const item of items) {
+    if (!(await reserveStock(eventId, item.variantId, item.quantity))) {
+      await restoreItems(eventId, taken);
+      return item;
+    }
+    taken.push(item);
+  }
+  return null;
+};
+
+// Undoes reserveItems for an order that was never created or approved
+const restoreItems = async (eventId, items) => {
+  for (const item of items) {
+    await restoreStock(eventId, item.variantId, item.quantity);
+  }
+};
+
+/**
+ * Gives an order's units back to their variants. The order is unflagged first
+ * with a conditional update, so when cancel, reject and expiry race only one
+ * of them puts the units back. Resolves to true if this call released them.
+ */
+const releaseOrderStock = async (reg) => {
+  const claimed = await Registration.findOneAndUpdate(
+    { _id: reg._id, ...HOLDS_STOCK },
+    { $set: { stockReserved: false, reservationExpiresAt: null } }
+  );
+  reg.stockReserved        = false;
+  reg.reservationExpiresAt = null;
+  if (!claimed) return false;
+
+  await restoreItems(claimed.eventId, getOrderItems(claimed));
+  return true;
+};
+
+// Seat counters: the event's seatsTaken (registrations, or teams on team
+// events), each tier's sold and each session's taken. Unset counts as 0 and a
+// missing limit / capacity means unlimited.
+const hasRoom = (taken, limit) => ({ $or: [{ $not: [limit] }, { $lt: [{ $ifNull: [taken, 0] }, limit] }] });
+
+const elementHasRoom = (path, id, counter) => ({
+  $anyElementTrue: [{
+    $map: {
+      input: { $ifNull: [`$${path}`, []] },
+      as:    "el",
+      in:    { $and: [{ $eq: ["$$el._id", id] }, hasRoom(`$$el.${counter}`, "$$el.capacity")] }
+    }
+  }]
+});
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// $inc and arrayFilters for a seat in the given tier / sessions
+const seatUpdate = (step, { tierId, sessionIds = [] }) => {
+  const inc = { seatsTaken: step };
+  const arrayFilters = [];
+  if (tierId) {
+    inc["ticketTiers.$[tier].sold"] = step;
+    arrayFilters.push({ "tier._id": toObjectId(tierId), ...(step < 0 ? { "tier.sold": { $gt: 0 } } : {}) });
+  }
+  if (sessionIds.length > 0) {
+    inc["sessions.$[session].taken"] = step;
+    arrayFilters.push({
+      "session._id": { $in: sessionIds.map(toObjectId) },
+      ...(step < 0 ? { "session.taken": { $gt: 0 } } : {})
+    });
+  }
+  return { inc, options: arrayFilters.length > 0 ? { arrayFilters } : {} };
+};
+
+/**
+ * Takes a seat in a single conditional update: the event, the tier (if any)
+ * and every session in `sessionIds` must all have room, so concurrent
+ * registrations can never overfill any of them. Resolves to true when the
+ * seat was taken, false when something was full.
+ */
+const reserveSeat = async (eventId, seat = {}) => {
+  const conditions = [hasRoom("$seatsTaken", "$registrationLimit")];
+  if (seat.tierId) conditions.push(elementHasRoom("ticketTiers", toObjectId(seat.tierId), "sold"));
+  for (const sessionId of seat.sessionIds || []) {
+    conditions.push(elementHasRoom("sessions", toObjectId(sessionId), "taken"));
+  }
+
+  const { inc, options } = seatUpdate(1, seat);
+  const result = await Event.updateOne({ _id: eventId, $expr: { $and: conditions } }, { $inc: inc }, options);
+  return result.modifiedCount === 1;
+};
+
+// Undoes reserveSeat - for a registration or team that was never created, or is gone
+const restoreSeat = (eventId, seat = {}) => {
+  const { inc, options } = seatUpdate(-1, seat);
+  return Event.updateOne({ _id: eventId, seatsTaken: { $gt: 0 } }, { $inc: inc }, options);
+};
+
+/**
+ * Gives a registration's seat back. Like releaseOrderStock, the registration
+ * is unflagged first so when cancel and expiry race only one of them frees the
+ * seat. A registration without sessionIds holds a seat in every session.
+ * Resolves to true if this call released it.
+ */
+const releaseSeat = async (reg) => {
+  const claimed = await Registration.findOneAndUpdate(
+    { _id: reg._id, seatReserved: true },
+    { $set: { seatReserved: false } }
+  );
+  reg.seatReserved = false;
+  if (!claimed) return false;
+
+  const event = await Event.findById(claimed.eventId).select("sessions._id");
+  if (!event) return false;
+  await restoreSeat(event._id, {
+    tierId:     claimed.tierId,
+    sessionIds: claimed.sessionIds?.length ? claimed.sessionIds : event.sessions.map((s) => s._id)
+  });
+  return true;
+};
+
+// The hold is released by the order.expireReservation job (utils/lifecycleJobs)
+const scheduleReservationExpiry = (reg) =>
+  scheduleJob("order.expireReservation", reg.reservationExpiresAt, { registrationId: reg._id.toString() }, reservationKey(reg._id));
+
+const cancelReservationExpiry = (registrationId) => cancelJob(reservationKey(registrationId));
+
+module.exports = {
+  RESERVATION_MINUTES,
+  HOLDS_STOCK,
+  getOrderItems,
+  reserveItems,
+  restoreItems,
+  releaseOrderStock,
+  reserveSeat,
+  restoreSeat,
+  releaseSeat,
+  scheduleReservationExpiry,
+  cancelReservationExpiry
+};
\ No newline at end of file
@@ -0,0 +1,196 @@
+const Event = require("../models/Event");
+const Organizer = require("../models/Organiser");
+const Registration = require("../models/Registration");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Job = require("../models/Job");
+const Payment = require("../models/Payment");
+const postEventToDiscord = require("./discordService");
+const { deleteUploads } = require("./storageService");
+const { releaseCoupon } = require("./pricingService");
+const { releaseOrderStock, releaseSeat, cancelReservationExpiry } = require("./inventoryService");
+const promoteFromWaitlist = require("./waitlistService");
+const { defineJob, scheduleJob, cancelJob } = require("./scheduler");
+
+const ORPHAN_UPLOAD_AGE_MS = 24 * 60 * 60 * 1000;
+
+const jobKey = (eventId, step) => `event:${eventId}:${step}`;
+
+// Hooks run once an event's endDate has passed: (event) => Promise
+const postEventHooks = [];
+const addPostEventHook = (hook) => postEventHooks.push(hook);
+
+// Fires the Discord announcement for a newly published event (non-blocking)
+const announceEvent = async (event) => {
+  const org = await Organizer.findById(event.organizerId);
+  if (org?.discordWebhookUrl) {
+    postEventToDiscord(org.discordWebhookUrl, event);
+  }
+};
+
+/**
+ * (Re)schedules the time-based transitions for an event based on its current
+ * state. Safe to call after every save: jobs are keyed per event and step.
+ */
+const scheduleEventLifecycle = async (event) => {
+  const id = event._id.toString();
+
+  if (event.statusOverride === "Draft") {
+    if (event.scheduledPublishAt)
+      await scheduleJob("event.publish", event.scheduledPublishAt, { eventId: id }, jobKey(id, "publish"));
+    else
+      await cancelJob(jobKey(id, "publish"));
+    return;
+  }
+
+  await cancelJob(jobKey(id, "publish"));
+
+  if (event.statusOverride === "Closed") {
+    await cancelJob(jobKey(id, "close-registration"));
+    await cancelJob(jobKey(id, "complete"));
+    return;
+  }
+
+  await scheduleJob("event.closeRegistration", event.registrationDeadline, { eventId: id }, jobKey(id, "close-registration"));
+  await scheduleJob("event.complete", event.endDate, { eventId: id }, jobKey(id, "complete"));
+};
+
+const cancelEventLifecycle = async (eventId) => {
+  for (const step of ["publish", "close-registration", "complete"]) {
+    await cancelJob(jobKey(eventId, step));
+  }
+};
+
+// Scheduled publish: same effect as the organizer publishing through PUT /:id
+defineJob("event.publish", async ({ eventId }) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.statusOverride !== "Draft" || !event.scheduledPublishAt) return;
+  if (event.scheduledPublishAt > new Date()) return; // rescheduled later in the meantime
+
+  event.statusOverride     = "Published";
+  event.scheduledPublishAt = null;
+  await event.save();
+
+  await announceEvent(event);
+  await scheduleEventLifecycle(event);
+  console.log(`Scheduled publish: ${event.name}`);
+});
+
+// Registration deadline: pending merch orders nobody has started paying for
+// can no longer be paid. Orders with proof awaiting review, or an online
+// payment in progress, are left to the organizer / their reservation expiry.
+defineJob("event.closeRegistration", async ({ eventId }) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.registrationDeadline > new Date()) return; // deleted or deadline extended
+
+  if (event.type === "merchandise") {
+    const pending = await Registration.find({
+      eventId:         event._id,
+      paymentStatus:   "Pending",
+      isCancelled:     { $ne: true },
+      paymentProofUrl: { $in: [null, ""] }
+    });
+    let closed = 0;
+    for (const order of pending) {
+      if (await Payment.exists({ registrationId: order._id, status: { $in: ["Created", "Succeeded"] } })) continue;
+
+      // Only while still Pending - an approval or proof upload may have just landed
+      const reg = await Registration.findOneAndUpdate(
+        {
+          _id:             order._id,
+          paymentStatus:   "Pending",
+          isCancelled:     { $ne: true },
+          paymentProofUrl: { $in: [null, ""] }
+        },
+        { $set: { paymentStatus: "Rejected", rejectionReason: "Order deadline passed before payment was approved." } },
+        { new: true }
+      );
+      if (!reg) continue;
+
+      await releaseOrderStock(reg);
+      await releaseCoupon(reg.couponId);
+      await cancelReservationExpiry(reg._id);
+      closed++;
+    }
+    if (closed > 0)
+      console.log(`Closed ${closed} pending order(s) for: ${event.name}`);
+  }
+});
+
+// Event end: persist Completed and run post-event hooks
+defineJob("event.complete", async ({ eventId }) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.endDate > new Date()) return;
+  if (["Draft", "Closed"].includes(event.statusOverride)) return;
+
+  if (event.statusOverride !== "Completed") {
+    event.statusOverride = "Completed";
+    await event.save();
+  }
+
+  for (const hook of postEventHooks) {
+    await hook(event);
+  }
+});
+
+// Nobody can be promoted once the event is over
+addPostEventHook(async (event) => {
+  const entries = await WaitlistEntry.find({ eventId: event._id });
+  for (const entry of entries) {
+    await deleteUploads({ waitlistEntryId: entry._id });
+  }
+  await WaitlistEntry.deleteMany({ eventId: event._id });
+});
+
+// Pending order or registration still unpaid (no proof, or no successful online
+// payment) when its hold runs out: cancel it and put the units / seat back
+defineJob("order.expireReservation", async ({ registrationId }) => {
+  const now = new Date();
+  const reg = await Registration.findOneAndUpdate(
+    {
+      _id:                  registrationId,
+      paymentStatus:        "Pending",
+      isCancelled:          { $ne: true },
+      reservationExpiresAt: { $lte: now }  // Cleared once proof is submitted
+    },
+    {
+      $set: {
+        isCancelled:        true,
+        cancelledAt:        now,
+        cancellationReason: "Reservation expired before payment was completed."
+      }
+    },
+    { new: true }
+  );
+  if (!reg) return;
+
+  await releaseOrderStock(reg);
+  await releaseSeat(reg);
+  await releaseCoupon(reg.couponId);
+  if (!reg.variantId && !reg.items?.length) await promoteFromWaitlist(reg.eventId);
+});
+
+// Uploads never attached to a registration (abandoned forms) - runs daily
+defineJob("uploads.purgeOrphans", async () => {
+  const removed = await deleteUploads({
+    registrationId:  null,
+    waitlistEntryId: null,
+    createdAt:       { $lt: new Date(Date.now() - ORPHAN_UPLOAD_AGE_MS) }
+  });
+  if (removed > 0) console.log(`Purged ${removed} orphaned upload(s)`);
+
+  await scheduleJob("uploads.purgeOrphans", new Date(Date.now() + ORPHAN_UPLOAD_AGE_MS), {}, "uploads:purge-orphans");
+});
+
+const scheduleMaintenanceJobs = async () => {
+  const existing = await Job.findOne({ key: "uploads:purge-orphans", status: "Pending" });
+  if (!existing)
+    await scheduleJob("uploads.purgeOrphans", new Date(), {}, "uploads:purge-orphans");
+};
+
+module.exports = {
+  scheduleEventLifecycle,
+  cancelEventLifecycle,
+  scheduleMaintenanceJobs,
+  addPostEventHook,
+  announceEvent
+};
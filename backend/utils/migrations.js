@@ -0,0 +1,66 @@
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const Team = require("../models/Team");
+const { coversSession } = require("./eventSessions");
+
+/**
+ * Registrations used to have a full unique { eventId, participantId } index;
+ * it is now partial (active registrations only) so a participant can register
+ * again after cancelling. Docs from before cancellation existed have no
+ * isCancelled, which the partial filter would leave out, so they are
+ * backfilled first. The old index is dropped, then the new one is built.
+ */
+const migrateRegistrationIndex = async () => {
+  await Registration.updateMany({ isCancelled: { $exists: false } }, { $set: { isCancelled: false } });
+
+  const indexes = await Registration.collection.indexes().catch(() => []);
+  const legacy = indexes.find((i) => i.name === "eventId_1_participantId_1" && !i.partialFilterExpression);
+  if (legacy) {
+    await Registration.collection.dropIndex(legacy.name);
+    console.log("Dropped legacy registrations index eventId_1_participantId_1");
+  }
+  await Registration.createIndexes();
+};
+
+/**
+ * registrationLimit, tier and session capacity are enforced with seat
+ * counters on the event (see utils/inventoryService). Events from before the
+ * counters get them from their active registrations, which are flagged as
+ * holding their seat so cancelling frees it. On team events the limit counts
+ * teams, so seatsTaken is the number of teams.
+ */
+const migrateSeatCounters = async () => {
+  const events = await Event.find({ type: "normal", seatsTaken: { $exists: false } });
+  for (const event of events) {
+    if (event.isTeamEvent) {
+      await Event.updateOne({ _id: event._id }, { $set: { seatsTaken: await Team.countDocuments({ eventId: event._id }) } });
+      continue;
+    }
+
+    const active = { eventId: event._id, isCancelled: { $ne: true } };
+    const regs = await Registration.find(active).select("tierId sessionIds");
+
+    event.seatsTaken = regs.length;
+    for (const tier of event.ticketTiers) {
+      tier.sold = regs.filter((r) => r.tierId?.equals(tier._id)).length;
+    }
+    for (const session of event.sessions || []) {
+      session.taken = regs.filter((r) => coversSession(r, session._id)).length;
+    }
+    await event.save({ validateBeforeSave: false });
+    await Registration.updateMany(active, { $set: { seatReserved: true } });
+  }
+  if (events.length > 0) console.log(`Backfilled seat counters for ${events.length} event(s)`);
+};
+
+// Run on every start, before the scheduler - each step is a no-op once applied
+const runMigrations = async () => {
+  try {
+    await migrateRegistrationIndex();
+    await migrateSeatCounters();
+  } catch (err) {
+    console.error("Migration error:", err.message);
+  }
+};
+
+module.exports = { runMigrations };
\ No newline at end of file
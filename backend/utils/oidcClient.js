@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+// Institutional SSO. Everything is driven by env so a local mock provider can stand in:
+//   OIDC_ISSUER_URL, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI,
+//   OIDC_SCOPES (default "openid email profile"),
+//   OIDC_ALLOWED_DOMAINS (comma separated, default the IIIT domains)
+const DEFAULT_ALLOWED_DOMAINS = ["iiit.ac.in", "students.iiit.ac.in", "research.iiit.ac.in"];
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+let metadataCache = null;  // { issuer, data, fetchedAt }
+let jwksCache     = null;  // { uri, keys, fetchedAt }
+
+const getOidcConfig = () => ({
+  issuer:         (process.env.OIDC_ISSUER_URL || "").replace(/\/+$/, ""),
+  clientId:       process.env.OIDC_CLIENT_ID,
+  clientSecret:   process.env.OIDC_CLIENT_SECRET,
+  redirectUri:    process.env.OIDC_REDIRECT_URI,
+  scopes:         process.env.OIDC_SCOPES || "openid email profile",
+  allowedDomains: process.env.OIDC_ALLOWED_DOMAINS
+    ? process.env.OIDC_ALLOWED_DOMAINS.split(",").map((d) => d.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_DOMAINS
+});
+
+const isOidcEnabled = () => {
+  const { issuer, clientId, redirectUri } = getOidcConfig();
+  return !!(issuer && clientId && redirectUri);
+};
+
+const getMetadata = async () => {
+  const { issuer } = getOidcConfig();
+  if (metadataCache && metadataCache.issuer === issuer && Date.now() - metadataCache.fetchedAt < METADATA_TTL_MS)
+    return metadataCache.data;
+
+  const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+  if ((data.issuer || "").replace(/\/+$/, "") !== issuer)
+    throw new Error(`Discovery document issuer "${data.issuer}" does not match OIDC_ISSUER_URL.`);
+
+  metadataCache = { issuer, data, fetchedAt: Date.now() };
+  return data;
+};
+
+// Signing keys, refetched when a token names a key we haven't seen (provider rotation)
+const getSigningKey = async (kid) => {
+  const { jwks_uri: uri } = await getMetadata();
+  const fresh = jwksCache && jwksCache.uri === uri && Date.now() - jwksCache.fetchedAt < METADATA_TTL_MS;
+
+  let jwk = fresh ? jwksCache.keys.find((k) => k.kid === kid) : null;
+  if (!jwk) {
+    const { data } = await axios.get(uri, { timeout: 10000 });
+    jwksCache = { uri, keys: data.keys || [], fetchedAt: Date.now() };
+    jwk = kid ? jwksCache.keys.find((k) => k.kid === kid) : jwksCache.keys.find((k) => k.use !== "enc");
+  }
+  if (!jwk) throw new Error("No matching signing key found for the ID token.");
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const base64url = (buf) => buf.toString("base64url");
+
+/**
+ * Fresh state, nonce and PKCE pair for one login attempt.
+ */
+const createAuthRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state:         base64url(crypto.randomBytes(24)),
+    nonce:         base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash("sha256").update(codeVerifier).digest())
+  };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { clientId, redirectUri, scopes } = getOidcConfig();
+  const { authorization_endpoint: endpoint } = await getMetadata();
+
+  const params = new URLSearchParams({
+    response_type:         "code",
+    client_id:             clientId,
+    redirect_uri:          redirectUri,
+    scope:                 scopes,
+    state,
+    nonce,
+    code_challenge:        codeChallenge,
+    code_challenge_method: "S256"
+  });
+  return `${endpoint}?${params}`;
+};
+
+/**
+ * Swaps the authorization code for tokens and returns the verified ID token
+ * claims. Throws if the token's signature, issuer, audience, expiry or nonce
+ * don't check out.
+ */
+const exchangeCode = async ({ code, codeVerifier, nonce }) => {
+  const { issuer, clientId, clientSecret, redirectUri } = getOidcConfig();
+  const { token_endpoint: endpoint } = await getMetadata();
+
+  const body = new URLSearchParams({
+    grant_type:    "authorization_code",
+    code,
+    redirect_uri:  redirectUri,
+    client_id:     clientId,
+    code_verifier: codeVerifier
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (clientSecret)
+    headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString("base64")}`;
+
+  const { data } = await axios.post(endpoint, body.toString(), { headers, timeout: 10000 });
+  if (!data.id_token) throw new Error("Identity provider did not return an ID token.");
+
+  const header = jwt.decode(data.id_token, { complete: true })?.header;
+  if (!header) throw new Error("Malformed ID token.");
+
+  const key = await getSigningKey(header.kid);
+  const claims = jwt.verify(data.id_token, key, {
+    algorithms: ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"],
+    issuer:     [issuer, `${issuer}/`],
+    audience:   clientId
+  });
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch.");
+
+  return claims;
+};
+
+const isAllowedEmail = (email) => {
+  const { allowedDomains } = getOidcConfig();
+  const domain = String(email || "").toLowerCase().split("@")[1];
+  return !!domain && allowedDomains.includes(domain);
+};
+
+module.exports = {
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  isAllowedEmail
+};
\ No newline at end of file
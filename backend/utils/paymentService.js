@@ -0,0 +1,146 @@
+const Payment = require("../models/Payment");
+const Registration = require("../models/Registration");
+const Event = require("../models/Event");
+const { getProvider, getActiveProvider } = require("./payments");
+const { issueTicket } = require("./ticketService");
+const { cancelReservationExpiry } = require("./inventoryService");
+
+// Gateway events collect any non-zero amount online; free (or fully
+// discounted) registrations go through without a payment
+const needsOnlinePayment = (event, amount) => event.paymentMode === "gateway" && amount > 0;
+
+// Gateway events can't take registrations while no provider is configured
+const gatewayUnavailable = (event) => event.paymentMode === "gateway" && !getActiveProvider();
+
+/**
+ * Returns an open payment for a Pending registration, creating a new intent
+ * with the active provider when there isn't one (or it failed).
+ */
+const createPaymentIntent = async (reg, event, participant) => {
+  const open = await Payment.findOne({ registrationId: reg._id, status: "Created" }).sort({ createdAt: -1 });
+  if (open) return open;
+
+  const provider = getActiveProvider();
+  if (!provider) throw new Error(`Payment provider "${process.env.PAYMENT_PROVIDER}" is not available.`);
+
+  const payment = new Payment({
+    registrationId: reg._id,
+    eventId:        event._id,
+    participantId:  reg.participantId._id || reg.participantId,
+    provider:       provider.name,
+    amount:         reg.amountPaid,
+    currency:       "INR"
+  });
+
+  const { providerRef, checkoutUrl } = await provider.createIntent({
+    amount:        payment.amount,
+    currency:      payment.currency,
+    reference:     payment._id.toString(),
+    description:   event.name,
+    customerEmail: participant?.email
+  });
+  payment.providerRef = providerRef;
+  payment.checkoutUrl = checkoutUrl;
+  await payment.save();
+
+  return payment;
+};
+
+/**
+ * Settles the payments of a registration / order that was just cancelled:
+ * open intents are closed so no new checkout is offered, and money already
+ * collected online is flagged for a refund. An intent completed after this
+ * is flagged by handleWebhook. Resolves to the number of payments to refund.
+ */
+const closePayments = async (registrationId) => {
+  await Payment.updateMany({ registrationId, status: "Created" }, { $set: { status: "Cancelled" } });
+  const { modifiedCount } = await Payment.updateMany(
+    { registrationId, status: "Succeeded", refundRequired: { $ne: true } },
+    { $set: { refundRequired: true } }
+  );
+  return modifiedCount;
+};
+
+// Shape returned to the participant alongside their registration
+const paymentSummary = (payment) => ({
+  paymentId:   payment._id,
+  provider:    payment.provider,
+  amount:      payment.amount,
+  currency:    payment.currency,
+  status:      payment.status,
+  checkoutUrl: payment.checkoutUrl
+});
+
+/**
+ * Handles a provider callback: verifies the signature over the raw body,
+ * then records the outcome. A successful payment approves the registration
+ * and issues its ticket. Safe to receive the same callback more than once.
+ * Resolves to { status, message } for the HTTP response.
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  if (!provider) return { status: 404, message: "Unknown payment provider." };
+  if (!rawBody || !provider.verifyWebhook(rawBody, headers))
+    return { status: 400, message: "Invalid signature." };
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString());
+  } catch {
+    return { status: 400, message: "Invalid payload." };
+  }
+
+  const update = provider.parseWebhook(body);
+  if (!update) return { status: 200, message: "Ignored." };
+
+  // Claim the provider event id so a redelivery is a no-op
+  const payment = await Payment.findOneAndUpdate(
+    { provider: provider.name, providerRef: update.providerRef, processedEvents: { $ne: update.eventId } },
+    { $push: { processedEvents: update.eventId } },
+    { new: true }
+  );
+  if (!payment) {
+    const known = await Payment.exists({ provider: provider.name, providerRef: update.providerRef });
+    return known ? { status: 200, message: "Already processed." } : { status: 404, message: "Payment not found." };
+  }
+  if (payment.status === "Succeeded") return { status: 200, message: "Already paid." };
+
+  if (update.status === "Failed") {
+    if (payment.status === "Cancelled") return { status: 200, message: "Payment was cancelled." };
+    payment.status        = "Failed";
+    payment.failureReason = update.failureReason || "Payment failed.";
+    await payment.save();
+    return { status: 200, message: "Payment failure recorded." };
+  }
+
+  payment.status = "Succeeded";
+  payment.paidAt = new Date();
+  await payment.save();  // Before the ticket goes out - its receipt quotes this payment
+
+  const event = await Event.findById(payment.eventId);
+  const reg   = await Registration.findById(payment.registrationId);
+  const approved = event && reg && await issueTicket(reg, event);
+  if (approved) {
+    await cancelReservationExpiry(reg._id);
+  } else if (reg?.paymentStatus !== "Approved" || await Payment.exists({
+    registrationId: payment.registrationId,
+    status:         "Succeeded",
+    _id:            { $ne: payment._id }
+  })) {
+    // Cancelled or expired before the money arrived, or already paid for
+    payment.refundRequired = true;
+    console.warn(`Payment ${payment._id} succeeded for inactive registration ${payment.registrationId} - refund required`);
+  }
+  await payment.save();
+
+  return { status: 200, message: approved ? "Payment confirmed. Ticket issued." : "Payment recorded." };
+};
+
+module.exports = {
+  needsOnlinePayment,
+  gatewayUnavailable,
+  createPaymentIntent,
+  closePayments,
+  paymentSummary,
+  handleWebhook
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Payment provider registry. A provider is an object with:
+ *   name
+ *   createIntent({ amount, currency, reference, description, customerEmail })
+ *     -> { providerRef, checkoutUrl }
+ *   verifyWebhook(rawBody, headers) -> boolean (signature check)
+ *   parseWebhook(body) -> { eventId, providerRef, status, failureReason } | null
+ * PAYMENT_PROVIDER picks the one used for new payments. Without it there is no
+ * active provider and gateway payments are unavailable.
+ */
+const providers = {};
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getProvider = (name) => providers[name] || null;
+
+const getActiveProvider = () => (process.env.PAYMENT_PROVIDER ? getProvider(process.env.PAYMENT_PROVIDER) : null);
+
+// The mock provider lets anyone "pay" with a request, so it only exists when
+// chosen explicitly - and never with a guessable webhook secret
+if (process.env.PAYMENT_PROVIDER === "mock") {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET)
+    throw new Error("PAYMENT_WEBHOOK_SECRET must be set when PAYMENT_PROVIDER=mock.");
+  registerProvider(require("./mockProvider"));
+}
+
+module.exports = { registerProvider, getProvider, getActiveProvider };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const { signPayload, verifySignature } = require("./signature");
+
+const SIGNATURE_HEADER = "x-payment-signature";
+
+const getSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+// Offline stand-in for a real gateway, registered only with PAYMENT_PROVIDER=mock.
+// No money moves: the participant "pays" through
+// POST /api/payments/mock/:paymentId/complete, which sends this provider's
+// signed callback through the normal webhook handling.
+module.exports = {
+  name: "mock",
+
+  createIntent: async ({ reference }) => {
+    const providerRef = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+    const frontend = process.env.FRONTEND_URL || "http://localhost:3000";
+    return { providerRef, checkoutUrl: `${frontend}/payments/mock/${reference}` };
+  },
+
+  verifyWebhook: (rawBody, headers) => verifySignature(rawBody, headers[SIGNATURE_HEADER], getSecret()),
+
+  // -> { eventId, providerRef, status: "Succeeded" | "Failed", failureReason } or null if not a payment event
+  parseWebhook: (body) => {
+    const status = { "payment.succeeded": "Succeeded", "payment.failed": "Failed" }[body.type];
+    if (!status || !body.data?.intentId) return null;
+    return { eventId: body.id, providerRef: body.data.intentId, status, failureReason: body.data.failureReason };
+  },
+
+  // Builds the callback the mock gateway would send - { rawBody, headers }
+  buildWebhook: (providerRef, outcome, failureReason) => {
+    const rawBody = JSON.stringify({
+      id:   `mock_evt_${crypto.randomBytes(8).toString("hex")}`,
+      type: outcome === "succeeded" ? "payment.succeeded" : "payment.failed",
+      data: { intentId: providerRef, ...(outcome === "succeeded" ? {} : { failureReason }) }
+    });
+    return { rawBody, headers: { [SIGNATURE_HEADER]: signPayload(rawBody, getSecret()) } };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+// Callbacks are rejected if their timestamp is further than this from now
+const TOLERANCE_SECONDS = 5 * 60;
+
+const computeHmac = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+/**
+ * Signature header for a callback body: "t=<unix seconds>,v1=<hex hmac>".
+ * The HMAC-SHA256 covers "<t>.<raw body>" so a captured callback can't be
+ * replayed later with a fresh timestamp.
+ */
+const signPayload = (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeHmac(secret, timestamp, rawBody)}`;
+
+const verifySignature = (rawBody, header, secret) => {
+  if (!header || !secret) return false;
+
+  const parts = Object.fromEntries(
+    String(header).split(",").map((part) => part.trim().split("=", 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(computeHmac(secret, timestamp, rawBody), "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+module.exports = { signPayload, verifySignature };
\ No newline at end of file
@@ -0,0 +1,115 @@
+const Registration = require("../models/Registration");
+const { getOrderItems } = require("./inventoryService");
+
+/**
+ * Where a merch order stands at the stall. Orders that haven't been paid for
+ * or approved yet have no fulfilment state (null). Orders scanned before
+ * pickup tracking existed only have `attended`, which meant fully collected.
+ */
+const getFulfilmentStatus = (reg) => {
+  if (reg.paymentStatus !== "Approved") return null;
+  if (reg.fulfilmentStatus) return reg.fulfilmentStatus;
+  return reg.attended ? "Collected" : "Awaiting Pickup";
+};
+
+// Approved, active merch orders that still have something to hand over
+const UNCOLLECTED = {
+  paymentStatus: "Approved",
+  isCancelled:   { $ne: true },
+  $nor: [
+    { fulfilmentStatus: "Collected" },
+    { fulfilmentStatus: { $exists: false }, attended: true }
+  ]
+};
+
+// Order lines with how many units were handed over and how many are left
+const getPickupLines = (reg, event) => {
+  const legacyCollected = !reg.fulfilmentStatus && reg.attended;
+  return getOrderItems(reg, event).map((item) => {
+    const collected = legacyCollected ? item.quantity : item.collectedQuantity || 0;
+    return {
+      variantId:         item.variantId,
+      size:              item.size,
+      color:             item.color,
+      quantity:          item.quantity,
+      collectedQuantity: collected,
+      remaining:         Math.max(item.quantity - collected, 0)
+    };
+  });
+};
+
+const statusFor = (lines) => {
+  const collected = lines.reduce((sum, l) => sum + l.collectedQuantity, 0);
+  if (collected === 0) return "Awaiting Pickup";
+  return lines.every((l) => l.remaining === 0) ? "Collected" : "Partially Collected";
+};
+
+/**
+ * Records a handover at the merch stall. `requested` is [{ variantId, quantity }];
+ * without it everything still outstanding is handed over. The write is a
+ * compare-and-set on the number of pickups so two stalls scanning the same
+ * ticket at once can't both hand the items over.
+ * Resolves to { registration, handedOver, lines, status } or { error, status }.
+ */
+const recordPickup = async (reg, event, requested, handedOverBy = {}) => {
+  const current = getFulfilmentStatus(reg);
+  if (!current) return { error: "This order has not been paid for / approved yet.", status: 400 };
+  if (current === "Collected")
+    return { error: "Everything in this order has already been collected.", status: 409 };
+
+  const lines = getPickupLines(reg, event);
+
+  let handover;
+  if (Array.isArray(requested) && requested.length > 0) {
+    handover = [];
+    for (const { variantId, quantity = 1 } of requested) {
+      const line = lines.find((l) => l.variantId.toString() === String(variantId));
+      if (!line) return { error: "That item is not part of this order.", status: 400 };
+      if (!Number.isInteger(quantity) || quantity < 1)
+        return { error: "quantity must be a positive whole number.", status: 400 };
+      const already = handover.find((h) => h.variantId.toString() === line.variantId.toString());
+      if ((already?.quantity || 0) + quantity > line.remaining)
+        return { error: `Only ${line.remaining} of this item left to collect.`, status: 400 };
+      if (already) already.quantity += quantity;
+      else handover.push({ variantId: line.variantId, quantity });
+    }
+  } else {
+    handover = lines.filter((l) => l.remaining > 0).map((l) => ({ variantId: l.variantId, quantity: l.remaining }));
+  }
+  if (handover.length === 0) return { error: "Everything in this order has already been collected.", status: 409 };
+
+  for (const h of handover) {
+    const line = lines.find((l) => l.variantId.toString() === h.variantId.toString());
+    line.collectedQuantity += h.quantity;
+    line.remaining         -= h.quantity;
+  }
+  const status = statusFor(lines);
+  const now    = new Date();
+
+  // Orders from before carts existed get their single line written out here
+  const items = getOrderItems(reg, event).map((item, i) => ({
+    ...(item.toObject ? item.toObject() : item),
+    collectedQuantity: lines[i].collectedQuantity
+  }));
+
+  const updated = await Registration.findOneAndUpdate(
+    {
+      _id:           reg._id,
+      paymentStatus: "Approved",
+      isCancelled:   { $ne: true },
+      ...(reg.pickups?.length
+        ? { pickups: { $size: reg.pickups.length } }
+        : { $or: [{ pickups: { $size: 0 } }, { pickups: { $exists: false } }] })
+    },
+    {
+      $set:  { items, fulfilmentStatus: status, ...(status === "Collected" ? { collectedAt: now } : {}) },
+      $push: { pickups: { at: now, items: handover, ...handedOverBy } }
+    },
+    { new: true }
+  );
+  if (!updated) return { error: "This order was updated at the same time. Please scan again.", status: 409 };
+
+  return { registration: updated, handedOver: handover, lines, status };
+};
+
+module.exports = { getFulfilmentStatus, UNCOLLECTED, getPickupLines, recordPickup };
\ No newline at end of file
@@ -0,0 +1,119 @@
+const Coupon = require("../models/Coupon");
+const Registration = require("../models/Registration");
+const { getOrderItems } = require("./inventoryService");
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const getDiscount = (coupon, amount) =>
+  coupon.discountType === "percentage"
+    ? roundMoney((amount * coupon.discountValue) / 100)
+    : Math.min(coupon.discountValue, amount);
+
+/**
+ * Looks up `code` for this event and checks every restriction against the
+ * participant and the amount they're paying. Resolves to
+ * { coupon, discountAmount } or { error } with a participant-facing message.
+ */
+const checkCoupon = async ({ code, event, participant, amount }) => {
+  const coupon = await Coupon.findOne({
+    organizerId: event.organizerId,
+    code:        String(code).trim().toUpperCase(),
+    isActive:    true,
+    $or:         [{ eventId: null }, { eventId: event._id }]
+  });
+  if (!coupon) return { error: "Invalid coupon code." };
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) return { error: "This coupon is not active yet." };
+  if (coupon.validUntil && now > coupon.validUntil) return { error: "This coupon has expired." };
+
+  const purchaseKind = event.type === "merchandise" ? "merchandise" : "registration";
+  if (coupon.appliesTo !== "all" && coupon.appliesTo !== purchaseKind)
+    return { error: `This coupon only applies to ${coupon.appliesTo}.` };
+
+  if (coupon.eligibility !== "all" && coupon.eligibility !== participant.participantType)
+    return { error: `This coupon is only for ${coupon.eligibility === "iiit" ? "IIIT" : "non-IIIT"} participants.` };
+
+  if (amount <= 0) return { error: "Nothing to discount - this is free." };
+  if (amount < coupon.minOrderAmount)
+    return { error: `This coupon needs a minimum amount of ₹${coupon.minOrderAmount}.` };
+
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses)
+    return { error: "This coupon has reached its usage limit." };
+
+  const usedByParticipant = await Registration.countDocuments({
+    couponId:      coupon._id,
+    participantId: participant._id,
+    isCancelled:   { $ne: true },
+    paymentStatus: { $ne: "Rejected" }
+  });
+  if (usedByParticipant >= coupon.perUserLimit)
+    return { error: "You have already used this coupon the maximum number of times." };
+
+  return { coupon, discountAmount: getDiscount(coupon, amount) };
+};
+
+// Atomically claims one use; false when the cap was hit in the meantime
+const redeemCoupon = async (coupon) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  return !!claimed;
+};
+
+/**
+ * Prices a purchase, applying `couponCode` when given. On success the coupon
+ * use is already claimed; release it if the purchase doesn't go through.
+ * Resolves to { pricing } (fields to store on the Registration) or { error }.
+ */
+const priceWithCoupon = async (couponCode, event, participant, originalAmount) => {
+  if (!couponCode)
+    return { pricing: { originalAmount, discountAmount: 0, amountPaid: originalAmount } };
+
+  const { coupon, discountAmount, error } = await checkCoupon({
+    code: couponCode, event, participant, amount: originalAmount
+  });
+  if (error) return { error };
+  if (!(await redeemCoupon(coupon))) return { error: "This coupon has reached its usage limit." };
+
+  return {
+    pricing: {
+      originalAmount,
+      discountAmount,
+      amountPaid: roundMoney(originalAmount - discountAmount),
+      couponId:   coupon._id,
+      couponCode: coupon.code
+    }
+  };
+};
+
+// Gives a use back when the registration it paid for is cancelled or rejected
+const releaseCoupon = async (couponId) => {
+  if (!couponId) return;
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+/**
+ * Revenue a registration contributes. Uses the price captured at purchase;
+ * registrations from before pricing was stored fall back to the list price.
+ * Cancelled, rejected and still-pending orders contribute nothing.
+ */
+const getRegistrationRevenue = (event, reg) => {
+  if (reg.isCancelled || ["Pending", "Rejected"].includes(reg.paymentStatus)) return 0;
+  if (reg.amountPaid !== undefined && reg.amountPaid !== null) return reg.amountPaid;
+
+  if (event.type === "normal") return event.registrationFee || 0;
+  return getOrderItems(reg, event).reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+};
+
+module.exports = {
+  checkCoupon,
+  priceWithCoupon,
+  releaseCoupon,
+  getRegistrationRevenue,
+  roundMoney
+};
@@ -0,0 +1,225 @@
+const PDFDocument = require("pdfkit");
+const Registration = require("../models/Registration");
+const Organizer = require("../models/Organiser");
+const Payment = require("../models/Payment");
+const User = require("../models/User");
+const Counter = require("../models/Counter");
+const { getOrderItems } = require("./inventoryService");
+const { getRegistrationRevenue } = require("./pricingService");
+
+// How long an unfinished claim on a receipt blocks other requests
+const RECEIPT_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+const formatMoney = (amount) => `INR ${Number(amount || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" });
+
+// e.g. "CODI-3F2A-00042" - club name, the end of the club id (names can
+// clash) and the club's own running number
+const formatInvoiceNumber = (organizer, seq) => {
+  const name = (organizer?.organizerName || "").replace(/[^A-Za-z0-9]/g, "").slice(0, 4).toUpperCase() || "CLUB";
+  const id   = String(organizer?._id || "").slice(-4).toUpperCase();
+  return `${name}-${id}-${String(seq).padStart(5, "0")}`;
+};
+
+// Returned while another request is still numbering the receipt
+const RECEIPT_PENDING = Object.freeze({ pending: true });
+
+// Another request holds the claim - wait a few seconds for its number
+const waitForReceipt = async (regId) => {
+  for (let attempt = 0; attempt < 30; attempt++) {
+    const current = await Registration.findById(regId);
+    if (current?.receipt?.invoiceNumber) return current;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return RECEIPT_PENDING;
+};
+
+/**
+ * Gives a paid registration / order its invoice number, taken from the
+ * club's sequence. Numbers are only handed out once the purchase is
+ * confirmed (free, pending and rejected ones get none) and never change
+ * afterwards. Resolves to the registration, null when there's no receipt, or
+ * RECEIPT_PENDING when another request is still numbering it.
+ *
+ * The registration is claimed before a number is drawn, so racing requests
+ * don't draw numbers that end up unused. The drawn number is recorded on the
+ * registration first, so when a claim left by a request that died part-way is
+ * taken over (after a minute) the same number is reused. Only a request that
+ * stalls past the claim timeout between drawing and recording its number can
+ * still leave a gap.
+ */
+const issueReceipt = async (reg, event) => {
+  if (reg.receipt?.invoiceNumber) return reg;
+  if (getRegistrationRevenue(event, reg) <= 0) return null;
+
+  const claimedAt = new Date();
+  const claimed = await Registration.findOneAndUpdate(
+    {
+      _id:                     reg._id,
+      "receipt.invoiceNumber": { $exists: false },
+      $or: [
+        { "receipt.pendingSince": { $exists: false } },
+        { "receipt.pendingSince": { $lt: new Date(claimedAt - RECEIPT_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { "receipt.pendingSince": claimedAt } },
+    { new: true }
+  );
+  if (!claimed) return waitForReceipt(reg._id);
+
+  let seq = claimed.receipt.sequence;
+  if (!seq) {
+    seq = await Counter.next(`invoice:${event.organizerId}`);
+    await Registration.updateOne(
+      { _id: reg._id, "receipt.pendingSince": claimedAt },
+      { $set: { "receipt.sequence": seq } }
+    );
+  }
+
+  const organizer = await Organizer.findById(event.organizerId);
+  const issued = await Registration.findOneAndUpdate(
+    { _id: reg._id, "receipt.pendingSince": claimedAt },
+    {
+      $set:   { "receipt.invoiceNumber": formatInvoiceNumber(organizer, seq), "receipt.issuedAt": new Date() },
+      $unset: { "receipt.pendingSince": 1 }
+    },
+    { new: true }
+  );
+  // Our claim was taken over - keep the number the other request assigned
+  return issued || waitForReceipt(reg._id);
+};
+
+// Receipt lines - the order's items for merchandise, the ticket otherwise
+const getReceiptLines = (reg, event) => {
+  if (event.type === "merchandise") {
+    return getOrderItems(reg, event).map((item) => ({
+      description: `${event.name} - ${[item.size, item.color].filter(Boolean).join(" / ") || "item"}`,
+      quantity:    item.quantity,
+      unitPrice:   item.unitPrice,
+      amount:      item.quantity * item.unitPrice
+    }));
+  }
+  const price = reg.originalAmount ?? reg.amountPaid ?? event.registrationFee ?? 0;
+  return [{
+    description: `${event.name} - ${reg.tierName ? `${reg.tierName} ticket` : "Registration"}`,
+    quantity:    1,
+    unitPrice:   price,
+    amount:      price
+  }];
+};
+
+// How the money was collected, for the receipt's payment reference
+const describePayment = (reg, payment) => {
+  if (payment) return { method: `Online (${payment.provider})`, reference: payment.providerRef, paidAt: payment.paidAt };
+  if (reg.paymentProofUrl) return { method: "Payment proof reviewed by the organizer", reference: null, paidAt: null };
+  return { method: "Collected by the organizer", reference: null, paidAt: null };
+};
+
+/**
+ * Renders a receipt as a PDF and resolves to its Buffer. `reg` must already
+ * have an invoice number (see issueReceipt).
+ */
+const buildReceiptPdf = (reg, event, { organizer, participant, payment }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const lines    = getReceiptLines(reg, event);
+    const subtotal = reg.originalAmount ?? lines.reduce((sum, l) => sum + l.amount, 0);
+    const discount = reg.discountAmount || 0;
+    const total    = reg.amountPaid ?? subtotal - discount;
+    const paidWith = describePayment(reg, payment);
+
+    // Header
+    doc.fontSize(20).font("Helvetica-Bold").text(organizer?.organizerName || "Felicity", 50, 50);
+    doc.fontSize(10).font("Helvetica").fillColor("#555");
+    if (organizer?.contactEmail) doc.text(organizer.contactEmail);
+    doc.fillColor("#000").fontSize(16).font("Helvetica-Bold").text("RECEIPT", 50, 50, { align: "right" });
+    doc.fontSize(10).font("Helvetica")
+      .text(`Invoice No: ${reg.receipt.invoiceNumber}`, { align: "right" })
+      .text(`Date: ${formatDate(reg.receipt.issuedAt)}`, { align: "right" });
+
+    // Billed to / event
+    doc.moveDown(2).font("Helvetica-Bold").text("Billed to", 50);
+    doc.font("Helvetica").text(`${participant?.firstName || ""} ${participant?.lastName || ""}`.trim() || "Participant");
+    if (participant?.email) doc.text(participant.email);
+    doc.moveDown().font("Helvetica-Bold").text("Event");
+    doc.font("Helvetica").text(`${event.name} (${formatDate(event.startDate)} - ${formatDate(event.endDate)})`);
+    if (reg.ticketId) doc.text(`Ticket ID: ${reg.ticketId}`);
+
+    // Line items
+    const cols = { description: 50, quantity: 330, unitPrice: 380, amount: 470 };
+    let y = doc.moveDown(2).y;
+    doc.font("Helvetica-Bold")
+      .text("Item", cols.description, y)
+      .text("Qty", cols.quantity, y)
+      .text("Unit price", cols.unitPrice, y)
+      .text("Amount", cols.amount, y, { width: 75, align: "right" });
+    y += 16;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 6;
+
+    doc.font("Helvetica");
+    lines.forEach((line) => {
+      doc.text(line.description, cols.description, y, { width: 270 });
+      const rowEnd = doc.y;
+      doc.text(String(line.quantity), cols.quantity, y)
+        .text(formatMoney(line.unitPrice), cols.unitPrice, y)
+        .text(formatMoney(line.amount), cols.amount, y, { width: 75, align: "right" });
+      y = Math.max(rowEnd, doc.y) + 6;
+    });
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 10;
+
+    // Totals
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica")
+        .text(label, cols.unitPrice - 50, y)
+        .text(value, cols.amount, y, { width: 75, align: "right" });
+      y += 16;
+    };
+    totalRow("Subtotal", formatMoney(subtotal));
+    if (discount > 0) totalRow(reg.couponCode ? `Discount (${reg.couponCode})` : "Discount", `- ${formatMoney(discount)}`);
+    totalRow("Total paid", formatMoney(total), true);
+
+    // Payment
+    doc.moveDown(2).font("Helvetica-Bold").text("Payment", 50);
+    doc.font("Helvetica").text(`Method: ${paidWith.method}`);
+    if (paidWith.reference) doc.text(`Reference: ${paidWith.reference}`);
+    if (paidWith.paidAt) doc.text(`Paid on: ${formatDate(paidWith.paidAt)}`);
+    doc.text(`Registration ID: ${reg._id}`);
+    if (reg.isCancelled) {
+      doc.moveDown().fillColor("#b00020").font("Helvetica-Bold")
+        .text(`Cancelled${reg.cancelledAt ? ` on ${formatDate(reg.cancelledAt)}` : ""}`);
+      doc.fillColor("#000").font("Helvetica");
+    }
+
+    doc.moveDown(3).fontSize(8).fillColor("#888")
+      .text("This is a computer-generated receipt and does not need a signature.", 50, undefined, { align: "center" });
+
+    doc.end();
+  });
+
+/**
+ * Issues (if needed) and renders the receipt for a registration. Resolves to
+ * { invoiceNumber, filename, content }, null when the registration has nothing
+ * to receipt, or RECEIPT_PENDING (see issueReceipt).
+ */
+const generateReceipt = async (reg, event) => {
+  const issued = await issueReceipt(reg, event);
+  if (!issued || issued === RECEIPT_PENDING) return issued;
+
+  const [participant, organizer, payment] = await Promise.all([
+    User.findById(issued.participantId._id || issued.participantId).select("firstName lastName email"),
+    Organizer.findById(event.organizerId),
+    Payment.findOne({ registrationId: issued._id, status: "Succeeded" }).sort({ paidAt: 1 })
+  ]);
+
+  const content = await buildReceiptPdf(issued, event, { organizer, participant, payment });
+  return { invoiceNumber: issued.receipt.invoiceNumber, filename: `Receipt_${issued.receipt.invoiceNumber}.pdf`, content };
+};
+
+module.exports = { RECEIPT_PENDING, issueReceipt, buildReceiptPdf, generateReceipt };
\ No newline at end of file
@@ -0,0 +1,100 @@
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const User = require("../models/User");
+
+// Relative weight of each signal in the final score
+const WEIGHTS = {
+  interest:     3,  // per matching tag
+  followed:     5,
+  pastCategory: 2,
+  trending:     3   // scaled by the event's share of the busiest event's recent registrations
+};
+
+const TRENDING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ranks upcoming events the participant can still register for, using their
+ * interests, followed clubs, categories of clubs they've registered with before,
+ * and recent registration activity. Every result carries the reasons behind
+ * its score so the UI can explain the pick.
+ */
+const recommendEvents = async (userId, { limit = 10 } = {}) => {
+  const user = await User.findById(userId).select("areasOfInterest followedOrganizers participantType");
+  if (!user) return [];
+
+  const now = new Date();
+
+  const registrations = await Registration.find({ participantId: userId, isCancelled: { $ne: true } })
+    .select("eventId")
+    .populate({
+      path:     "eventId",
+      select:   "organizerId",
+      populate: { path: "organizerId", select: "category" }
+    });
+
+  const registeredIds  = registrations.map((r) => r.eventId?._id).filter(Boolean);
+  const pastCategories = new Set(
+    registrations.map((r) => r.eventId?.organizerId?.category).filter(Boolean)
+  );
+  const interests = new Set((user.areasOfInterest || []).map((i) => i.toLowerCase()));
+  const followed  = new Set((user.followedOrganizers || []).map(String));
+
+  const candidates = await Event.find({
+    statusOverride:       { $nin: ["Draft", "Closed", "Completed"] },
+    startDate:            { $gt: now },
+    registrationDeadline: { $gt: now },
+    eligibility:          { $in: ["all", user.participantType].filter(Boolean) },
+    _id:                  { $nin: registeredIds }
+  }).populate("organizerId", "organizerName category");
+
+  const trending = await Registration.aggregate([
+    {
+      $match: {
+        eventId:     { $in: candidates.map((e) => e._id) },
+        createdAt:   { $gte: new Date(now.getTime() - TRENDING_WINDOW_MS) },
+        isCancelled: { $ne: true }
+      }
+    },
+    { $group: { _id: "$eventId", count: { $sum: 1 } } }
+  ]);
+  const recentCounts = new Map(trending.map((t) => [t._id.toString(), t.count]));
+  const maxRecent    = Math.max(0, ...recentCounts.values());
+
+  const scored = candidates.map((event) => {
+    const reasons = [];
+    let score = 0;
+
+    const matchedTags = (event.tags || []).filter((t) => interests.has(t.toLowerCase()));
+    if (matchedTags.length > 0) {
+      score += WEIGHTS.interest * matchedTags.length;
+      reasons.push(`Matches your interests: ${matchedTags.join(", ")}`);
+    }
+
+    const organizer = event.organizerId;
+    if (organizer && followed.has(organizer._id.toString())) {
+      score += WEIGHTS.followed;
+      reasons.push(`Because you follow ${organizer.organizerName}`);
+    }
+
+    if (organizer?.category && pastCategories.has(organizer.category)) {
+      score += WEIGHTS.pastCategory;
+      reasons.push(`Because you've registered for ${organizer.category} events before`);
+    }
+
+    const recent = recentCounts.get(event._id.toString()) || 0;
+    if (recent > 0) {
+      score += WEIGHTS.trending * (recent / maxRecent);
+      reasons.push(`Trending: ${recent} registration${recent === 1 ? "" : "s"} in the last 24 hours`);
+    }
+
+    if (reasons.length === 0) reasons.push("Coming up soon");
+
+    return { event, score: Math.round(score * 100) / 100, reasons };
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.event.startDate - b.event.startDate);
+
+  return scored.slice(0, limit);
+};
+
+module.exports = recommendEvents;
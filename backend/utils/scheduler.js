@@ -0,0 +1,114 @@
+const Job = require("../models/Job");
+
+// A Running job whose lock is older than this is assumed to belong to a dead process
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+
+const handlers = {};
+let timer = null;
+let ticking = false;
+
+const defineJob = (name, handler) => {
+  handlers[name] = handler;
+};
+
+/**
+ * Persists a job to run at `runAt`. With a key, an existing job is replaced
+ * (new time / payload, back to Pending) - except a Completed job with the same
+ * runAt, which is left alone so re-saving an event doesn't re-run its jobs.
+ */
+const scheduleJob = async (name, runAt, payload = {}, key) => {
+  const fields = {
+    name,
+    runAt,
+    payload,
+    status:    "Pending",
+    attempts:  0,
+    lastError: null,
+    lockedAt:  null
+  };
+  if (!key) return Job.create(fields);
+
+  try {
+    return await Job.findOneAndUpdate(
+      { key, $or: [{ status: { $ne: "Completed" } }, { runAt: { $ne: runAt } }] },
+      { $set: fields },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // Upsert collided with the unchanged Completed job - nothing to do
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+const cancelJob = (key) => Job.deleteOne({ key, status: "Pending" });
+
+const runJob = async (job) => {
+  const handler = handlers[job.name];
+  let outcome;
+  try {
+    if (!handler) throw new Error(`No handler defined for job "${job.name}"`);
+    await handler(job.payload || {}, job);
+    outcome = { status: "Completed", completedAt: new Date(), lockedAt: null };
+  } catch (err) {
+    console.error(`Job ${job.name} (${job._id}) failed:`, err.message);
+    outcome = { lastError: err.message, lockedAt: null };
+    if (handler && job.attempts < job.maxAttempts) {
+      outcome.status = "Pending";
+      outcome.runAt  = new Date(Date.now() + job.attempts * RETRY_DELAY_MS);
+    } else {
+      outcome.status = "Failed";
+    }
+  }
+
+  // Only while the doc is still our Running claim - a handler that re-queued
+  // its own key (a recurring job) has already reset it for the next run
+  await Job.updateOne({ _id: job._id, status: "Running", lockedAt: job.lockedAt }, { $set: outcome });
+};
+
+// Jobs left Running by a crash or restart go back to the queue
+const requeueStaleJobs = async () => {
+  const result = await Job.updateMany(
+    { status: "Running", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: "Pending", lockedAt: null } }
+  );
+  if (result.modifiedCount > 0) console.log(`Scheduler requeued ${result.modifiedCount} stale job(s)`);
+};
+
+// Claims due jobs one at a time; findOneAndUpdate makes the claim atomic
+// so several server instances can share the same queue.
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  try {
+    await requeueStaleJobs();
+    while (true) {
+      const job = await Job.findOneAndUpdate(
+        { status: "Pending", runAt: { $lte: new Date() } },
+        { $set: { status: "Running", lockedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+      );
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("Scheduler tick error:", err.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+const startScheduler = (intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000) => {
+  if (timer) return;
+  timer = setInterval(tick, intervalMs);
+  console.log(`Scheduler started (every ${intervalMs / 1000}s)`);
+  tick();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { defineJob, scheduleJob, cancelJob, startScheduler, stopScheduler };
@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { signAccessToken } = require("./tokenService");
+const { getIo } = require("../socket");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+const issueTokens = (user, session, secret) => ({
+  accessToken:  signAccessToken(user, session._id, session.scope),
+  refreshToken: `${session._id}.${secret}`,
+  sessionId:    session._id
+});
+
+// Drops live socket.io connections for the given room; no-op before the server is up
+const disconnectSockets = (room) => {
+  try {
+    getIo().in(room).disconnectSockets(true);
+  } catch (err) {
+    // Socket.io not initialized (e.g. scripts) - nothing to disconnect
+  }
+};
+
+/**
+ * Starts a new session for a user who has just proven who they are.
+ * Pass a scope to issue a restricted session. Returns { accessToken, refreshToken, sessionId }.
+ */
+const createSession = async (user, req, { scope } = {}) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await Session.create({
+    userId:           user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt:        new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent:        req?.get("user-agent") || "",
+    ip:               req?.ip || "",
+    scope
+  });
+  return issueTokens(user, session, secret);
+};
+
+/**
+ * Swaps a refresh token for a new access/refresh pair. Presenting a refresh
+ * token that was already rotated out means it leaked, so the whole session is
+ * revoked. Returns { error } when the token can't be used.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) return { error: "Invalid refresh token." };
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date())
+    return { error: "Session has expired. Please log in again." };
+
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(nextSecret),
+      lastUsedAt:       new Date(),
+      userAgent:        req?.get("user-agent") || session.userAgent,
+      ip:               req?.ip || session.ip
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, "refresh-token-reuse");
+    return { error: "Session has expired. Please log in again." };
+  }
+
+  const user = await User.findById(rotated.userId);
+  if (!user || !user.isActive) {
+    await revokeSession(rotated._id, "account-disabled");
+    return { error: "This account has been disabled. Please contact the Admin." };
+  }
+
+  return issueTokens(user, rotated, nextSecret);
+};
+
+const revokeSession = async (sessionId, reason = "logout") => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+  disconnectSockets(`session_${sessionId}`);
+};
+
+// Signs a user out everywhere, optionally keeping one session (e.g. the caller's)
+const revokeUserSessions = async (userId, reason, { except } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const sessions = await Session.find(filter).select("_id");
+  await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  sessions.forEach((s) => disconnectSockets(`session_${s._id}`));
+};
+
+module.exports = { createSession, rotateSession, revokeSession, revokeUserSessions };
\ No newline at end of file
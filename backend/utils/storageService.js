@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const Upload = require("../models/Upload");
+
+/**
+ * Storage drivers share one small interface so uploads can move off local
+ * disk later without touching the routes:
+ *   save(key, buffer)       -> Promise<void>
+ *   createReadStream(key)   -> Readable
+ *   remove(key)             -> Promise<void>  (missing files are not an error)
+ * Pick one with STORAGE_DRIVER (default "local").
+ */
+const localDiskDriver = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"));
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) throw new Error("Invalid storage key.");
+    return fullPath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer);
+    },
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+  };
+};
+
+const drivers = { local: localDiskDriver };
+let storage = null;
+
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const getStorage = () => {
+  if (storage) return storage;
+  const name = process.env.STORAGE_DRIVER || "local";
+  if (!drivers[name]) throw new Error(`Unknown storage driver: ${name}`);
+  storage = drivers[name]();
+  return storage;
+};
+
+// Removes matching Upload docs together with their stored files
+const deleteUploads = async (filter) => {
+  const uploads = await Upload.find(filter);
+  for (const upload of uploads) {
+    try {
+      await getStorage().remove(upload.storageKey);
+    } catch (err) {
+      console.error("Upload cleanup error:", err.message);
+    }
+  }
+  await Upload.deleteMany({ _id: { $in: uploads.map((u) => u._id) } });
+  return uploads.length;
+};
+
+module.exports = { getStorage, registerStorageDriver, deleteUploads };
@@ -0,0 +1,54 @@
+const Registration = require("../models/Registration");
+const { sendTicketEmail } = require("./emailService");
+const { RECEIPT_PENDING, generateReceipt } = require("./receiptService");
+
+const generateTicketId = () =>
+  `TKT-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+// Returns why this tier can't be bought right now by this participant, or null
+const getTierBlocker = (tier, participant, now = new Date()) => {
+  if (tier.salesStart && now < tier.salesStart) return `Sales for "${tier.name}" have not started yet.`;
+  if (tier.salesEnd && now > tier.salesEnd) return `Sales for "${tier.name}" have ended.`;
+  if (tier.eligibility === "iiit" && participant.participantType !== "iiit")
+    return `"${tier.name}" tickets are for IIIT students only.`;
+  if (tier.eligibility === "non-iiit" && participant.participantType !== "non-iiit")
+    return `"${tier.name}" tickets are for non-IIIT participants only.`;
+  return null;
+};
+
+// From the tier's seat counter - reserveSeat is what actually enforces the capacity
+const isTierSoldOut = (tier) => !!tier.capacity && (tier.sold || 0) >= tier.capacity;
+
+// Emails the ticket, with the PDF receipt attached when something was paid
+const sendTicket = async (reg, event, participant) => {
+  let receipt = null;
+  try {
+    receipt = await generateReceipt(reg, event);
+    if (receipt === RECEIPT_PENDING) receipt = null;  // Still downloadable once issued
+  } catch (err) {
+    console.error("Receipt generation error:", err.message);
+  }
+  return sendTicketEmail(participant.email, reg.ticketId, event.name, participant.firstName,
+    { tierName: reg.tierName, receipt });
+};
+
+/**
+ * Moves a Pending registration / order to Approved, gives it a ticket and
+ * emails it. The update only applies while the registration is still Pending
+ * and active, so a cancelled or expired one is never revived - resolves to
+ * null in that case. `filter` / `set` add conditions and fields to the update.
+ */
+const issueTicket = async (reg, event, { filter = {}, set = {} } = {}) => {
+  const ticketId = generateTicketId();
+  const approved = await Registration.findOneAndUpdate(
+    { _id: reg._id, paymentStatus: "Pending", isCancelled: { $ne: true }, ...filter },
+    { $set: { paymentStatus: "Approved", ticketId, reservationExpiresAt: null, ...set } },
+    { new: true }
+  ).populate("participantId", "email firstName");
+  if (!approved) return null;
+
+  sendTicket(approved, event, approved.participantId);
+  return approved;
+};
+
+module.exports = { generateTicketId, getTierBlocker, isTierSoldOut, sendTicket, issueTicket };
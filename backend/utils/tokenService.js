@@ -0,0 +1,30 @@
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// Short-lived; sid ties it to a server-side session (see utils/sessionService)
+const signAccessToken = (user, sessionId, scope) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId, ...(scope ? { scope } : {}) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Verifies a login token and returns its payload. Throws when the token is
+ * malformed, expired, a single-purpose token (e.g. email verification), or
+ * its session has been revoked - which every password change does, so tokens
+ * from before a change stop working with it.
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose || !decoded.sid) throw new Error("Not an access token.");
+
+  const session = await Session.findOne({ _id: decoded.sid, userId: decoded.id, revokedAt: null }).select("expiresAt");
+  if (!session || session.expiresAt < new Date()) throw new Error("Session has been revoked.");
+
+  return decoded;
+};
+
+module.exports = { signAccessToken, verifyAccessToken };
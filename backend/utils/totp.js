@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+
+// RFC 4648 base32 - authenticator apps expect secrets in this alphabet
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character.");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP (RFC 4226) for a raw key buffer and counter.
+ */
+const hotp = (key, counter, { digits = 6, algorithm = "sha1" } = {}) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, key).update(buf).digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return code.toString().padStart(digits, "0");
+};
+
+/**
+ * TOTP (RFC 6238). `secret` is base32 unless a Buffer is passed.
+ */
+const totp = (secret, { time = Date.now(), step = 30, digits = 6, algorithm = "sha1" } = {}) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  return hotp(key, Math.floor(time / 1000 / step), { digits, algorithm });
+};
+
+/**
+ * Checks a code against the current step and `window` steps either side to
+ * allow for clock drift. Returns the matching time step, or null. Callers
+ * store the step and reject codes at or before it to stop replays.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), step = 30, window = 1, digits = 6 } = {}) => {
+  if (!/^\d+$/.test(String(code || "")) || String(code).length !== digits) return null;
+  const key = base32Decode(secret);
+  const current = Math.floor(time / 1000 / step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, current + offset, { digits });
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(String(code)))) return current + offset;
+  }
+  return null;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Provisioning URI rendered as a QR code for authenticator apps
+const otpauthUrl = ({ secret, account, issuer }) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`;
+
+module.exports = { base32Encode, base32Decode, hotp, totp, verifyTotp, generateSecret, otpauthUrl };
\ No newline at end of file
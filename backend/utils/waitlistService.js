@@ -0,0 +1,118 @@
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const User = require("../models/User");
+const Upload = require("../models/Upload");
+const { sendPaymentDueEmail } = require("./emailService");
+const { generateTicketId, isTierSoldOut, sendTicket } = require("./ticketService");
+const { deleteUploads } = require("./storageService");
+const { findFullSession } = require("./eventSessions");
+const { RESERVATION_MINUTES, reserveSeat, restoreSeat, scheduleReservationExpiry } = require("./inventoryService");
+const { needsOnlinePayment, gatewayUnavailable } = require("./paymentService");
+
+/**
+ * Promotes waitlisted participants into registrations while the event has
+ * free seats. Called after anything that can free a seat (cancellation,
+ * registration limit increase). Each promotion takes its seat with
+ * reserveSeat before claiming the entry with findOneAndDelete, so concurrent
+ * calls (or direct registrations) can neither overfill the event nor promote
+ * the same person twice.
+ * Returns the registrations that were created.
+ */
+const promoteFromWaitlist = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.type !== "normal" || event.isTeamEvent) return [];
+  if (!["Published", "Ongoing"].includes(event.effectiveStatus)) return [];
+  if (gatewayUnavailable(event)) return [];
+
+  const promoted = [];
+  // Promoted participants are registered for every session
+  const sessionIds = (event.sessions || []).map((s) => s._id);
+
+  while (true) {
+    // Fresh seat counters - registrations and cancellations run alongside
+    const current = await Event.findById(event._id);
+    if (!current) break;
+    if (current.registrationLimit && (current.seatsTaken || 0) >= current.registrationLimit) break;
+    if (findFullSession(current.sessions || [])) break;
+
+    // First entry in queue order whose requested tier still has room
+    const candidates = await WaitlistEntry.find({ eventId: event._id }).sort({ position: 1 });
+    let entry = null;
+    let tier  = null;
+    let seat  = null;
+    for (const candidate of candidates) {
+      const candidateTier = candidate.tierId ? current.ticketTiers.id(candidate.tierId) : null;
+      if (candidateTier && isTierSoldOut(candidateTier)) continue;
+
+      seat = { tierId: candidateTier?._id, sessionIds };
+      if (!(await reserveSeat(event._id, seat))) continue;
+
+      entry = await WaitlistEntry.findOneAndDelete({ _id: candidate._id });
+      if (entry) {
+        tier = candidateTier;
+        break;
+      }
+      // Promoted by a concurrent call - give the seat back
+      await restoreSeat(event._id, seat);
+    }
+    if (!entry) break;
+
+    const price = tier ? tier.price : event.registrationFee || 0;
+    // Online-payment events hold the seat until the promoted participant pays
+    const payOnline = needsOnlinePayment(event, price);
+    const ticketId  = payOnline ? undefined : generateTicketId();
+    let registration;
+    try {
+      registration = await Registration.create({
+        eventId:        event._id,
+        participantId:  entry.participantId,
+        ticketId,
+        formData:       entry.formData || {},
+        tierId:         tier?._id,
+        tierName:       tier?.name,
+        seatReserved:   true,
+        originalAmount: price,
+        amountPaid:     price,
+        ...(payOnline
+          ? {
+              paymentStatus:        "Pending",
+              reservationExpiresAt: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000)
+            }
+          : { paymentStatus: "Not Applicable" })
+      });
+    } catch (err) {
+      await restoreSeat(event._id, seat);
+      // Already registered through another path - drop the stale entry and move on
+      if (err.code === 11000) {
+        await deleteUploads({ waitlistEntryId: entry._id });
+        continue;
+      }
+      throw err;
+    }
+
+    await Upload.updateMany(
+      { waitlistEntryId: entry._id },
+      { registrationId: registration._id, waitlistEntryId: null }
+    );
+
+    promoted.push(registration);
+    if (payOnline) await scheduleReservationExpiry(registration);
+
+    const participant = await User.findById(entry.participantId);
+    if (participant && payOnline) {
+      const payUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/events/${event._id}`;
+      sendPaymentDueEmail(participant.email, participant.firstName, event.name, price, payUrl, registration.reservationExpiresAt);
+    } else if (participant) {
+      sendTicket(registration, event, participant);
+    }
+  }
+
+  if (promoted.length > 0) {
+    console.log(`Promoted ${promoted.length} participant(s) from the waitlist for event: ${event.name}`);
+  }
+
+  return promoted;
+};
+
+module.exports = promoteFromWaitlist;